@@ -3,6 +3,45 @@
  * 负责截图、图片拼接和下载
  */
 
+importScripts('lib/settings.js', 'lib/pdf-writer.js', 'lib/history-store.js', 'lib/content-injector.js');
+
+const historyStore = new HistoryStore();
+
+/**
+ * 截图输出目标
+ */
+const DESTINATIONS = ['download', 'clipboard', 'preview'];
+
+/**
+ * 等待预览的截图最多保留的数量（保存在 IndexedDB 中，Service Worker 停止后仍可打开）
+ */
+const MAX_PENDING_PREVIEWS = 3;
+
+/**
+ * 支持的导出格式
+ */
+const OUTPUT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Chrome 画布的最大边长和最大面积，超出后画布无法绘制（导出为空白或失败）
+ */
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+/**
+ * 画布尺寸是否在浏览器限制之内
+ */
+function fitsCanvasLimits(width, height) {
+  return width <= MAX_CANVAS_DIMENSION &&
+         height <= MAX_CANVAS_DIMENSION &&
+         width * height <= MAX_CANVAS_AREA;
+}
+
 /**
  * 截取当前可见标签页
  * @param {number} tabId - 标签页 ID
@@ -27,6 +66,54 @@ async function dataUrlToImageBitmap(dataUrl) {
   return createImageBitmap(blob);
 }
 
+/**
+ * 计算指定重叠行数下两帧的像素匹配比例
+ * @param {ImageData} prevData - 前一帧底部的图像数据
+ * @param {ImageData} currData - 当前帧顶部的图像数据
+ * @param {number} overlap - 重叠行数（不超过两者的高度）
+ * @returns {number} - 匹配的采样点比例 0 ~ 1
+ */
+function overlapMatchRatio(prevData, currData, overlap) {
+  // 两帧宽度可能不同，只比较共同的部分
+  const width = Math.min(prevData.width, currData.width);
+  const prevPixels = prevData.data;
+  const currPixels = currData.data;
+
+  // 采样点数量（不需要比较每个像素）
+  const sampleCount = Math.min(width, 100);
+  const sampleStep = Math.floor(width / sampleCount);
+
+  let matchCount = 0;
+  let totalSamples = 0;
+
+  // 比较 overlap 行
+  for (let row = 0; row < overlap; row++) {
+    const prevRow = prevData.height - overlap + row;
+    const currRow = row;
+
+    for (let sample = 0; sample < sampleCount; sample++) {
+      const x = sample * sampleStep;
+
+      // 前一帧底部的像素
+      const prevIdx = (prevRow * prevData.width + x) * 4;
+      // 当前帧顶部的像素
+      const currIdx = (currRow * currData.width + x) * 4;
+
+      // 比较 RGB 值（允许少量误差，处理抗锯齿）
+      const dr = Math.abs(prevPixels[prevIdx] - currPixels[currIdx]);
+      const dg = Math.abs(prevPixels[prevIdx + 1] - currPixels[currIdx + 1]);
+      const db = Math.abs(prevPixels[prevIdx + 2] - currPixels[currIdx + 2]);
+
+      if (dr <= 5 && dg <= 5 && db <= 5) {
+        matchCount++;
+      }
+      totalSamples++;
+    }
+  }
+
+  return totalSamples > 0 ? matchCount / totalSamples : 0;
+}
+
 /**
  * 检测两帧之间的重复像素行数
  * 用于处理 sticky header 重复问题
@@ -36,33 +123,113 @@ async function dataUrlToImageBitmap(dataUrl) {
  * @returns {number} - 检测到的重复行数
  */
 function detectOverlap(prevData, currData, maxOverlap) {
-  const width = prevData.width;
+  // 从最大可能重叠开始向下搜索
+  for (let overlap = maxOverlap; overlap >= 1; overlap--) {
+    // 如果 95% 以上的采样点匹配，认为是重复区域
+    if (overlapMatchRatio(prevData, currData, overlap) > 0.95) {
+      return overlap;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * 根据滚动距离计算相邻两帧的重叠行数，再用像素匹配校验和微调
+ * 平坦背景或重复的行（如日志中的空行）会让纯像素匹配选错位置，滚动距离则是确定的
+ * @param {Object} prev - 前一帧（裁剪后，带 y、scrollTop、dpr）
+ * @param {Object} curr - 当前帧
+ * @param {number} index - 当前帧序号，用于日志
+ * @returns {{ overlap: number, confident: boolean, gap: number }} - 重叠行数、像素是否确认，
+ *   以及两帧之间缺失的行数（gap > 0 表示输出中缺少内容）
+ */
+function resolveScrollOverlap(prev, curr, index) {
+  // 前一帧底部与当前帧顶部在截图坐标中的位置差，加上两帧之间滚动的距离
+  const scrollDelta = (curr.scrollTop - prev.scrollTop) * curr.dpr;
+  const expected = Math.round(prev.y + prev.height - curr.y - scrollDelta);
+  const maxOverlap = Math.min(prev.height, curr.height);
+
+  if (expected < 0) {
+    // 滚动距离超过了可见高度，两帧之间的内容没有被截取
+    console.warn(`[ESC Background] Gap of ${-expected}px before frame ${index}, frames do not overlap`);
+    return { overlap: 0, confident: false, gap: -expected };
+  }
+
+  if (expected === 0) {
+    return { overlap: 0, confident: true, gap: 0 };
+  }
+
+  if (expected >= maxOverlap) {
+    // 整帧都是重复内容，丢弃当前帧
+    console.warn(`[ESC Background] Frame ${index} did not scroll, dropping it`);
+    return { overlap: curr.height, confident: true, gap: 0 };
+  }
+
+  // 在预期值附近几像素内查找匹配度最高的重叠，吸收亚像素滚动带来的取整误差
+  const tolerance = Math.max(2, Math.ceil(curr.dpr * 2));
+  const checkHeight = Math.min(maxOverlap, expected + tolerance);
+
+  const prevData = prev.ctx.getImageData(0, prev.height - checkHeight, prev.width, checkHeight);
+  const currData = curr.ctx.getImageData(0, 0, curr.width, checkHeight);
+
+  let best = expected;
+  let bestRatio = overlapMatchRatio(prevData, currData, expected);
+
+  for (let offset = 1; offset <= tolerance; offset++) {
+    for (const candidate of [expected - offset, expected + offset]) {
+      if (candidate < 1 || candidate > checkHeight) continue;
+
+      const ratio = overlapMatchRatio(prevData, currData, candidate);
+      if (ratio > bestRatio) {
+        best = candidate;
+        bestRatio = ratio;
+      }
+    }
+  }
+
+  if (bestRatio > 0.95) {
+    if (best !== expected) {
+      console.log(`[ESC Background] Seam ${index} refined from ${expected}px to ${best}px by pixel matching`);
+    }
+    return { overlap: best, confident: true, gap: 0 };
+  }
+
+  // 像素无法确认（内容在帧之间发生了变化），仍以滚动距离为准
+  console.warn(`[ESC Background] Low-confidence seam before frame ${index}: ` +
+    `expected ${expected}px overlap, best pixel match ${Math.round(bestRatio * 100)}%`);
+  return { overlap: expected, confident: false, gap: 0 };
+}
+
+/**
+ * 检测左右相邻两帧之间的重复像素列数
+ * 用于横向滚动截图的拼接
+ * @param {ImageData} prevData - 前一帧右侧的图像数据
+ * @param {ImageData} currData - 当前帧左侧的图像数据
+ * @param {number} maxOverlap - 最大检测重叠宽度
+ * @returns {number} - 检测到的重复列数
+ */
+function detectHorizontalOverlap(prevData, currData, maxOverlap) {
+  const height = prevData.height;
   const prevPixels = prevData.data;
   const currPixels = currData.data;
 
-  // 采样点数量（不需要比较每个像素）
-  const sampleCount = Math.min(width, 100);
-  const sampleStep = Math.floor(width / sampleCount);
+  const sampleCount = Math.min(height, 100);
+  const sampleStep = Math.floor(height / sampleCount);
 
-  // 从最大可能重叠开始向下搜索
   for (let overlap = maxOverlap; overlap >= 1; overlap--) {
     let matchCount = 0;
     let totalSamples = 0;
 
-    // 比较 overlap 行
-    for (let row = 0; row < overlap; row++) {
-      const prevRow = prevData.height - overlap + row;
-      const currRow = row;
+    for (let col = 0; col < overlap; col++) {
+      const prevCol = prevData.width - overlap + col;
+      const currCol = col;
 
       for (let sample = 0; sample < sampleCount; sample++) {
-        const x = sample * sampleStep;
+        const y = sample * sampleStep;
 
-        // 前一帧底部的像素
-        const prevIdx = (prevRow * width + x) * 4;
-        // 当前帧顶部的像素
-        const currIdx = (currRow * width + x) * 4;
+        const prevIdx = (y * prevData.width + prevCol) * 4;
+        const currIdx = (y * currData.width + currCol) * 4;
 
-        // 比较 RGB 值（允许少量误差，处理抗锯齿）
         const dr = Math.abs(prevPixels[prevIdx] - currPixels[currIdx]);
         const dg = Math.abs(prevPixels[prevIdx + 1] - currPixels[currIdx + 1]);
         const db = Math.abs(prevPixels[prevIdx + 2] - currPixels[currIdx + 2]);
@@ -74,7 +241,6 @@ function detectOverlap(prevData, currData, maxOverlap) {
       }
     }
 
-    // 如果 95% 以上的采样点匹配，认为是重复区域
     if (matchCount / totalSamples > 0.95) {
       return overlap;
     }
@@ -84,28 +250,16 @@ function detectOverlap(prevData, currData, maxOverlap) {
 }
 
 /**
- * 拼接多帧截图
+ * 按裁剪区域裁剪所有帧
  * @param {Array} frames - 帧数据数组 [{ dataUrl, cropRegion }]
- * @param {Object} options - 拼接选项
- * @returns {Promise<Blob>} - 拼接后的图片 Blob
+ * @returns {Promise<Array>} - 裁剪后的帧 [{ canvas, ctx, width, height }]
  */
-async function stitchFrames(frames, options = {}) {
-  if (frames.length === 0) {
-    throw new Error('No frames to stitch');
-  }
-
-  const { detectDuplicates = true, maxOverlapHeight = 200 } = options;
-
+async function cropFrames(frames) {
   // 转换所有帧为 ImageBitmap
   const images = await Promise.all(
     frames.map(frame => dataUrlToImageBitmap(frame.dataUrl))
   );
 
-  // 计算最终图片尺寸
-  const firstCrop = frames[0].cropRegion;
-  const outputWidth = Math.round(firstCrop.width);
-
-  // 先裁剪所有帧
   const croppedFrames = [];
   for (let i = 0; i < frames.length; i++) {
     const img = images[i];
@@ -130,71 +284,408 @@ async function stitchFrames(frames, options = {}) {
       canvas: tempCanvas,
       ctx: tempCtx,
       width: Math.round(crop.width),
-      height: Math.round(crop.height)
+      height: Math.round(crop.height),
+      // 用于根据滚动距离计算重叠
+      x: Math.round(crop.x),
+      y: Math.round(crop.y),
+      scrollTop: frames[i].scrollTop,
+      scrollLeft: frames[i].scrollLeft,
+      dpr: crop.dpr
     });
   }
 
-  // 检测重复区域并计算最终高度
-  const overlaps = [0]; // 第一帧没有重叠
+  return croppedFrames;
+}
 
-  if (detectDuplicates && croppedFrames.length > 1) {
-    for (let i = 1; i < croppedFrames.length; i++) {
-      const prev = croppedFrames[i - 1];
-      const curr = croppedFrames[i];
+/**
+ * 帧是否带有可用于计算重叠的滚动位置
+ */
+function hasScrollPosition(frame) {
+  return Number.isFinite(frame.scrollTop) && frame.dpr > 0;
+}
 
-      const checkHeight = Math.min(maxOverlapHeight, prev.height, curr.height);
+/**
+ * 计算纵向相邻两帧的重叠行数
+ * @param {Array} croppedFrames - 裁剪后的帧（从上到下）
+ * @param {Object} options - { detectDuplicates, maxOverlapHeight }
+ * @returns {{ overlaps: number[], gaps: number }} - 每一帧的重叠行数（第一帧为 0），以及缺少内容的接缝数
+ */
+function resolveRowOverlaps(croppedFrames, options) {
+  const { detectDuplicates, maxOverlapHeight } = options;
+  const overlaps = [0]; // 第一帧没有重叠
+  let gaps = 0;
 
-      // 获取前一帧底部的像素数据
-      const prevData = prev.ctx.getImageData(
-        0, prev.height - checkHeight,
-        prev.width, checkHeight
-      );
+  for (let i = 1; i < croppedFrames.length; i++) {
+    const prev = croppedFrames[i - 1];
+    const curr = croppedFrames[i];
 
-      // 获取当前帧顶部的像素数据
-      const currData = curr.ctx.getImageData(0, 0, curr.width, checkHeight);
+    if (!detectDuplicates) {
+      overlaps.push(0);
+      continue;
+    }
 
-      const overlap = detectOverlap(prevData, currData, checkHeight);
+    // 帧带有滚动位置时以滚动距离为准，像素匹配只用于校验
+    if (hasScrollPosition(prev) && hasScrollPosition(curr)) {
+      const { overlap, gap } = resolveScrollOverlap(prev, curr, i);
       overlaps.push(overlap);
+      if (gap > 0) {
+        gaps++;
+      }
+      continue;
     }
-  } else {
-    for (let i = 1; i < croppedFrames.length; i++) {
+
+    const checkHeight = Math.min(maxOverlapHeight, prev.height, curr.height);
+
+    // 获取前一帧底部的像素数据
+    const prevData = prev.ctx.getImageData(
+      0, prev.height - checkHeight,
+      prev.width, checkHeight
+    );
+
+    // 获取当前帧顶部的像素数据
+    const currData = curr.ctx.getImageData(0, 0, curr.width, checkHeight);
+
+    overlaps.push(detectOverlap(prevData, currData, checkHeight));
+  }
+
+  return { overlaps, gaps };
+}
+
+/**
+ * 计算网格中每一列与前一列的重叠列数，所有行共用同一组结果，保证各行宽度一致、列对齐
+ * 图块带有滚动位置时按 scrollLeft 的差值计算，否则用第一行的像素检测
+ * @param {Array} tiles - 第一行裁剪后的图块（从左到右）
+ * @param {Object} options - { detectDuplicates, maxOverlapWidth }
+ * @returns {number[]} - 每一列的重叠列数（第一列为 0）
+ */
+function resolveColumnOverlaps(tiles, options) {
+  const { detectDuplicates, maxOverlapWidth } = options;
+  const overlaps = [0];
+
+  for (let i = 1; i < tiles.length; i++) {
+    const prev = tiles[i - 1];
+    const curr = tiles[i];
+
+    if (!detectDuplicates) {
       overlaps.push(0);
+      continue;
     }
+
+    if (Number.isFinite(prev.scrollLeft) && Number.isFinite(curr.scrollLeft) && curr.dpr > 0) {
+      const scrollDelta = (curr.scrollLeft - prev.scrollLeft) * curr.dpr;
+      const expected = Math.round(prev.x + prev.width - curr.x - scrollDelta);
+      overlaps.push(Math.min(prev.width, curr.width, Math.max(0, expected)));
+      continue;
+    }
+
+    const checkWidth = Math.min(maxOverlapWidth, prev.width, curr.width);
+    const checkHeight = Math.min(prev.height, curr.height);
+
+    // 前一帧右侧 / 当前帧左侧
+    const prevData = prev.ctx.getImageData(
+      prev.width - checkWidth, 0,
+      checkWidth, checkHeight
+    );
+    const currData = curr.ctx.getImageData(0, 0, checkWidth, checkHeight);
+
+    overlaps.push(detectHorizontalOverlap(prevData, currData, checkWidth));
+  }
+
+  return overlaps;
+}
+
+/**
+ * 计算每一行（列）去掉重叠后在输出中的起点和长度
+ * @param {number[]} sizes - 每一行的高度（每一列的宽度）
+ * @param {number[]} overlaps - 每一行（列）的重叠
+ * @returns {{ spans: Array<{ source: number, start: number, size: number }>, total: number }}
+ */
+function layoutSpans(sizes, overlaps) {
+  const spans = [];
+  let total = 0;
+
+  sizes.forEach((size, i) => {
+    // 从重叠区域之后开始绘制（第一行 / 列从头开始）
+    const source = overlaps[i];
+    spans.push({ source, start: total, size: size - source });
+    total += size - source;
+  });
+
+  return { spans, total };
+}
+
+/**
+ * 将图块网格拼接为输出画布
+ * 输出超出画布尺寸限制时按限制拆分为多个分段（先按列、再按行），
+ * 每个分段在调用绘制函数时才创建，导出后即可释放，不会同时占用所有分段的内存
+ * @param {Array<Array>} grid - 裁剪后的图块，grid[row][column]
+ * @param {number[]} rowOverlaps - 每一行的重叠行数
+ * @param {number[]} columnOverlaps - 每一列的重叠列数
+ * @returns {Function[]} - 按顺序排列的分段绘制函数，调用后返回该分段的画布
+ */
+function stitchTiles(grid, rowOverlaps, columnOverlaps) {
+  if (grid.length === 1 && grid[0].length === 1) {
+    const tile = grid[0][0];
+    return [() => tile.canvas];
   }
 
-  // 计算最终高度
-  let totalHeight = 0;
-  for (let i = 0; i < croppedFrames.length; i++) {
-    totalHeight += croppedFrames[i].height - (i > 0 ? overlaps[i] : 0);
+  // 同一行 / 列的图块尺寸取最小值，避免较窄的图块留下透明条
+  const rowHeights = grid.map(tiles => Math.min(...tiles.map(tile => tile.height)));
+  const columnWidths = grid[0].map((_, column) =>
+    Math.min(...grid.map(tiles => tiles[column].width)));
+
+  const rows = layoutSpans(rowHeights, rowOverlaps);
+  const columns = layoutSpans(columnWidths, columnOverlaps);
+
+  // 先限制宽度，再按宽度计算每个分段的最大高度（同时满足边长和面积限制）
+  const partWidth = Math.min(columns.total, MAX_CANVAS_DIMENSION);
+  const partHeight = Math.min(MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / partWidth));
+  const columnPartCount = Math.ceil(columns.total / partWidth);
+  const rowPartCount = Math.ceil(rows.total / partHeight);
+
+  if (columnPartCount * rowPartCount > 1) {
+    console.warn(`[ESC Background] Output ${columns.total} × ${rows.total} exceeds canvas limits, ` +
+      `splitting into ${columnPartCount * rowPartCount} parts`);
   }
 
-  // 创建最终画布
-  const finalCanvas = new OffscreenCanvas(outputWidth, totalHeight);
-  const finalCtx = finalCanvas.getContext('2d');
+  const renderPart = (partLeft, partTop) => {
+    const width = Math.min(partWidth, columns.total - partLeft);
+    const height = Math.min(partHeight, rows.total - partTop);
 
-  // 拼接
-  let currentY = 0;
-  for (let i = 0; i < croppedFrames.length; i++) {
-    const frame = croppedFrames[i];
-    const overlap = overlaps[i];
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
 
-    // 从重叠区域之后开始绘制（第一帧从头开始）
-    const sourceY = i === 0 ? 0 : overlap;
-    const sourceHeight = frame.height - sourceY;
+    // 只绘制各图块落在当前分段内的部分
+    rows.spans.forEach((rowSpan, row) => {
+      const top = Math.max(rowSpan.start, partTop);
+      const bottom = Math.min(rowSpan.start + rowSpan.size, partTop + height);
+      if (bottom <= top) return;
 
-    finalCtx.drawImage(
-      frame.canvas,
-      0, sourceY,
-      frame.width, sourceHeight,
-      0, currentY,
-      frame.width, sourceHeight
-    );
+      columns.spans.forEach((columnSpan, column) => {
+        const left = Math.max(columnSpan.start, partLeft);
+        const right = Math.min(columnSpan.start + columnSpan.size, partLeft + width);
+        if (right <= left) return;
+
+        ctx.drawImage(
+          grid[row][column].canvas,
+          columnSpan.source + left - columnSpan.start, rowSpan.source + top - rowSpan.start,
+          right - left, bottom - top,
+          left - partLeft, top - partTop,
+          right - left, bottom - top
+        );
+      });
+    });
+
+    return canvas;
+  };
+
+  const parts = [];
+  for (let rowPart = 0; rowPart < rowPartCount; rowPart++) {
+    for (let columnPart = 0; columnPart < columnPartCount; columnPart++) {
+      parts.push(() => renderPart(columnPart * partWidth, rowPart * partHeight));
+    }
+  }
+  return parts;
+}
+
+/**
+ * 纵向拼接已裁剪的帧
+ * @param {Array} croppedFrames - 裁剪后的帧
+ * @param {Object} options - { detectDuplicates, maxOverlapHeight }
+ * @returns {{ parts: Function[], gaps: number }} - 分段绘制函数（见 stitchTiles）和缺少内容的接缝数
+ */
+function stitchVertical(croppedFrames, options) {
+  const { overlaps, gaps } = resolveRowOverlaps(croppedFrames, options);
+
+  return {
+    parts: stitchTiles(croppedFrames.map(frame => [frame]), overlaps, [0]),
+    gaps
+  };
+}
+
+/**
+ * 二维网格拼接：所有行共用同一组列重叠，所有列共用同一组行重叠（由第一列计算）
+ * @param {Array} frames - 帧数据数组（带 row / column）
+ * @param {Array} croppedFrames - 裁剪后的帧
+ * @param {Object} options - 拼接选项
+ * @returns {{ parts: Function[], gaps: number }} - 分段绘制函数（见 stitchTiles）和缺少内容的接缝数
+ */
+function stitchGrid(frames, croppedFrames, options) {
+  const grid = [];
+  frames.forEach((frame, i) => {
+    if (!grid[frame.row]) {
+      grid[frame.row] = [];
+    }
+    grid[frame.row][frame.column] = croppedFrames[i];
+  });
+
+  const { overlaps, gaps } = resolveRowOverlaps(grid.map(tiles => tiles[0]), options);
+
+  return {
+    parts: stitchTiles(grid, overlaps, resolveColumnOverlaps(grid[0], options)),
+    gaps
+  };
+}
+
+/**
+ * 拼接多帧截图
+ * @param {Array} frames - 帧数据数组 [{ dataUrl, cropRegion, row?, column? }]
+ * @param {Object} options - 拼接选项
+ * @returns {Promise<{ parts: Function[], gaps: number }>} - 按顺序排列的分段绘制函数（超出画布尺寸限制时有多个分段），
+ *   以及因滚动距离超过可见高度而缺少内容的接缝数
+ */
+async function stitchToParts(frames, options = {}) {
+  if (frames.length === 0) {
+    throw new Error('No frames to stitch');
+  }
+
+  const {
+    detectDuplicates = true,
+    maxOverlapHeight = 200,
+    maxOverlapWidth = 200,
+    layout = 'vertical'
+  } = options;
+  const stitchOptions = { detectDuplicates, maxOverlapHeight, maxOverlapWidth };
+
+  // 先裁剪所有帧
+  const croppedFrames = await cropFrames(frames);
+
+  return layout === 'grid'
+    ? stitchGrid(frames, croppedFrames, stitchOptions)
+    : stitchVertical(croppedFrames, stitchOptions);
+}
+
+/**
+ * 将多个元素的截图拼合为一张图片
+ * 拼合结果超出画布尺寸限制时不拼合，原样返回各元素的画布
+ * @param {OffscreenCanvas[]} canvases - 各元素拼接后的画布（按拼合顺序）
+ * @param {Object} options - { composeLayout: vertical / horizontal, composeGap: 间距, composeBackground: 背景色 }
+ * @returns {OffscreenCanvas[]}
+ */
+function composeCanvases(canvases, options = {}) {
+  const {
+    composeLayout = 'vertical',
+    composeGap = 16,
+    composeBackground = '#ffffff'
+  } = options;
+  const horizontal = composeLayout === 'horizontal';
+  const totalGap = composeGap * (canvases.length - 1);
+
+  const width = horizontal
+    ? canvases.reduce((sum, canvas) => sum + canvas.width, totalGap)
+    : Math.max(...canvases.map(canvas => canvas.width));
+  const height = horizontal
+    ? Math.max(...canvases.map(canvas => canvas.height))
+    : canvases.reduce((sum, canvas) => sum + canvas.height, totalGap);
+
+  if (!fitsCanvasLimits(width, height)) {
+    console.warn(`[ESC Background] Composed size ${width} × ${height} exceeds canvas limits, ` +
+      `saving ${canvases.length} captures separately`);
+    return canvases;
+  }
+
+  const result = new OffscreenCanvas(width, height);
+  const ctx = result.getContext('2d');
+  ctx.fillStyle = composeBackground;
+  ctx.fillRect(0, 0, width, height);
+
+  let offset = 0;
+  for (const canvas of canvases) {
+    ctx.drawImage(canvas, horizontal ? offset : 0, horizontal ? 0 : offset);
+    offset += (horizontal ? canvas.width : canvas.height) + composeGap;
+  }
+
+  console.log('[ESC Background] Composed', canvases.length, 'captures:', width, '×', height);
+  return [result];
+}
+
+/**
+ * 获取导出格式信息（未知格式回退为 PNG）
+ * @param {string} format - png / jpeg / webp
+ */
+function getOutputFormat(format) {
+  return OUTPUT_FORMATS[format] || OUTPUT_FORMATS.png;
+}
+
+/**
+ * 将长图按页面高度切片，导出为分页 PDF
+ * @param {OffscreenCanvas} canvas - 拼接后的画布
+ * @param {Object} options - { pdfPageSize, pdfMargin（毫米）, quality }
+ * @returns {Promise<Blob>}
+ */
+async function exportPdf(canvas, options = {}) {
+  const { pdfPageSize = 'a4', pdfMargin = 10, quality = 0.92 } = options;
+  const pageSize = PDF_PAGE_SIZES[pdfPageSize] || PDF_PAGE_SIZES.a4;
+  const margin = Math.max(0, pdfMargin) * 72 / 25.4;
+
+  const contentWidth = pageSize.width - margin * 2;
+  const contentHeight = pageSize.height - margin * 2;
+  if (contentWidth <= 0 || contentHeight <= 0) {
+    throw new Error('PDF margin is larger than the page');
+  }
+
+  // 图片宽度铺满内容区，每页容纳的像素高度由缩放比例决定
+  const scale = contentWidth / canvas.width;
+  const sliceHeight = Math.max(1, Math.floor(contentHeight / scale));
+
+  const writer = new PdfWriter();
+
+  for (let y = 0; y < canvas.height; y += sliceHeight) {
+    const height = Math.min(sliceHeight, canvas.height - y);
+
+    const slice = new OffscreenCanvas(canvas.width, height);
+    const ctx = slice.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, height);
+    ctx.drawImage(canvas, 0, y, canvas.width, height, 0, 0, canvas.width, height);
+
+    const jpeg = await slice.convertToBlob({ type: 'image/jpeg', quality });
+    const bytes = new Uint8Array(await jpeg.arrayBuffer());
+
+    // PDF 坐标原点在左下角，图片贴齐内容区顶部
+    writer.addJpegPage(bytes, canvas.width, height, pageSize, {
+      x: margin,
+      y: pageSize.height - margin - height * scale,
+      width: contentWidth,
+      height: height * scale
+    });
+  }
+
+  console.log('[ESC Background] PDF pages:', writer.pageIds.length);
+
+  return writer.toBlob();
+}
+
+/**
+ * 将画布导出为指定格式的 Blob
+ * @param {OffscreenCanvas} canvas - 画布
+ * @param {Object} options - { format, quality, pdfPageSize, pdfMargin }
+ * @returns {Promise<Blob>}
+ */
+async function exportCanvas(canvas, options = {}) {
+  const { format = 'png', quality = 0.92 } = options;
+  const { mimeType } = getOutputFormat(format);
+
+  if (mimeType === 'application/pdf') {
+    return exportPdf(canvas, options);
+  }
+
+  if (mimeType === 'image/png') {
+    return canvas.convertToBlob({ type: mimeType });
+  }
 
-    currentY += sourceHeight;
+  let source = canvas;
+
+  // JPEG 不支持透明通道，透明区域会变成黑色，先铺白色背景
+  if (mimeType === 'image/jpeg') {
+    source = new OffscreenCanvas(canvas.width, canvas.height);
+    const ctx = source.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(canvas, 0, 0);
   }
 
-  // 导出为 Blob
-  return finalCanvas.convertToBlob({ type: 'image/png' });
+  return source.convertToBlob({ type: mimeType, quality });
 }
 
 /**
@@ -213,22 +704,287 @@ async function blobToDataUrl(blob) {
   return `data:${blob.type};base64,${base64}`;
 }
 
+/**
+ * 复制图片到剪贴板
+ * 写入剪贴板要求文档处于焦点，Service Worker 无法满足，
+ * 因此交给发起截图的页面中的 content script 写入（点击选择元素后该页面处于焦点）
+ * @param {Blob} blob - PNG 图片 Blob
+ * @param {number} tabId - 发起截图的标签页 ID
+ * @param {number} [frameId] - 发起截图的 frame ID
+ * @returns {Promise<boolean>} - 是否写入成功
+ */
+async function copyImageToClipboard(blob, tabId, frameId = 0) {
+  if (tabId === undefined) {
+    return false;
+  }
+
+  const dataUrl = await blobToDataUrl(blob);
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'WRITE_CLIPBOARD',
+      dataUrl
+    }, { frameId });
+
+    if (response?.success) {
+      return true;
+    }
+    console.warn('[ESC Background] Page failed to write clipboard:', response?.error);
+  } catch (error) {
+    // 页面已关闭或 content script 不可用
+    console.warn('[ESC Background] No page to write clipboard:', error.message);
+  }
+
+  return false;
+}
+
+/**
+ * 通知截图结果（content script 和 popup 都需要知道）
+ * @param {number} tabId - 标签页 ID
+ * @param {Object} message - 消息内容
+ */
+function notifyCaptureResult(tabId, message) {
+  chrome.tabs.sendMessage(tabId, message);
+  // popup 可能已关闭，忽略无接收方的错误
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
 /**
  * 下载图片
  * @param {Blob} blob - 图片 Blob
- * @param {string} filename - 文件名
+ * @param {string} filename - 文件名（可包含子目录）
+ * @param {boolean} [saveAs] - 是否弹出「另存为」对话框
  */
-async function downloadImage(blob, filename) {
+async function downloadImage(blob, filename, saveAs = false) {
   // Service Worker 中没有 URL.createObjectURL，使用 data URL
   const dataUrl = await blobToDataUrl(blob);
 
   await chrome.downloads.download({
     url: dataUrl,
     filename: filename,
-    saveAs: false
+    saveAs
   });
 }
 
+/**
+ * 在新标签页中打开预览编辑页
+ * @param {OffscreenCanvas} canvas - 拼接后的画布
+ * @param {Object} options - 导出选项（保存时使用）
+ * @param {chrome.tabs.Tab} [openerTab] - 发起截图的标签页
+ */
+async function openPreview(canvas, options, openerTab) {
+  // 预览始终使用无损 PNG，保存时再按所选格式导出
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+
+  // 只保留最近的几张，避免占用过多空间
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await historyStore.putPreview({ id, blob, options }, MAX_PENDING_PREVIEWS);
+
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL(`editor/editor.html?id=${id}`),
+    index: openerTab ? openerTab.index + 1 : undefined,
+    openerTabId: openerTab?.id
+  });
+}
+
+/**
+ * 文件名中不允许出现的字符（Windows 保留字符和控制字符）
+ */
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+/**
+ * Windows 保留的设备名
+ */
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * 清理一级路径，使其可用于 downloads API
+ * @param {string} segment - 目录名或文件名
+ */
+function sanitizePathSegment(segment) {
+  const cleaned = segment
+    .replace(INVALID_FILENAME_CHARS, '_')
+    .replace(/\s+/g, ' ')
+    .slice(0, 120)
+    // 去掉开头的点（隐藏文件、..）和结尾的点与空格
+    .replace(/^[. ]+/, '')
+    .replace(/[. ]+$/, '');
+
+  return RESERVED_FILENAMES.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+/**
+ * 按模板生成下载文件名
+ * 支持 {host} {title} {date} {time} {selector} {width} {height}，用 / 分隔子目录（相对于下载目录）
+ * @param {Object} options - 导出选项（filenameTemplate、source、format）
+ * @param {OffscreenCanvas} canvas - 画布（用于尺寸）
+ */
+function buildFilename(options, canvas) {
+  // 分段输出时所有分段使用同一时间
+  const now = new Date(options.timestamp || Date.now());
+  const pad = value => String(value).padStart(2, '0');
+  const source = options.source || {};
+
+  let host = '';
+  try {
+    host = new URL(source.url).hostname;
+  } catch (e) {
+    // 没有来源网址（如从历史记录导出）
+  }
+
+  const tokens = {
+    host,
+    title: source.title || '',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+    selector: source.selector || 'page',
+    width: canvas.width,
+    height: canvas.height
+  };
+
+  let template = options.filenameTemplate || DEFAULT_CAPTURE_SETTINGS.filenameTemplate;
+  // 只填写了目录时使用默认文件名
+  if (/[/\\]$/.test(template)) {
+    template += DEFAULT_CAPTURE_SETTINGS.filenameTemplate;
+  }
+
+  // 变量中的斜杠不能产生新的目录
+  const path = template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(tokens, name) ? String(tokens[name]).replace(/[/\\]/g, '_') : match);
+
+  const segments = path.split(/[/\\]/).map(sanitizePathSegment).filter(Boolean);
+  const basename = segments.pop() || 'element-capture';
+  const { extension } = getOutputFormat(options.format);
+  // 分段输出时追加序号，如 -part01
+  const suffix = options.partCount > 1 ? `-part${pad(options.part)}` : '';
+
+  return [...segments, `${basename}${suffix}.${extension}`].join('/');
+}
+
+/**
+ * 按输出目标交付画布：下载、复制到剪贴板或打开预览
+ * @param {OffscreenCanvas} canvas - 画布
+ * @param {Object} options - 导出选项
+ * @param {chrome.tabs.Tab} [openerTab] - 发起截图的标签页（打开预览、写入剪贴板时使用）
+ * @param {number} [frameId] - 发起截图的 frame ID（写入剪贴板时使用）
+ * @returns {Promise<{ destination: string, blob?: Blob, filename?: string, clipboardFallback?: boolean }>} - 实际使用的输出目标和导出结果
+ */
+async function deliverCanvas(canvas, options, openerTab, frameId) {
+  const destination = DESTINATIONS.includes(options.destination)
+    ? options.destination
+    : 'download';
+
+  if (destination === 'preview') {
+    await openPreview(canvas, options, openerTab);
+    console.log('[ESC Background] Preview opened');
+    return { destination };
+  }
+
+  // 剪贴板只支持 PNG
+  const exportOptions = destination === 'clipboard' ? { ...options, format: 'png' } : options;
+  const blob = await exportCanvas(canvas, exportOptions);
+  const filename = buildFilename(exportOptions, canvas);
+  console.log('[ESC Background] Export complete, blob size:', blob.size);
+
+  if (destination === 'clipboard') {
+    if (await copyImageToClipboard(blob, openerTab?.id, frameId)) {
+      console.log('[ESC Background] Copied to clipboard');
+      return { destination, blob, filename };
+    }
+
+    // 无法写入剪贴板时改为下载，并提示用户
+    console.log('[ESC Background] Clipboard unavailable, downloading:', filename);
+    await downloadImage(blob, filename, Boolean(options.saveAs));
+    return { destination: 'download', blob, filename, clipboardFallback: true };
+  } else {
+    console.log('[ESC Background] Downloading:', filename);
+    await downloadImage(blob, filename, Boolean(options.saveAs));
+    console.log('[ESC Background] Download initiated');
+  }
+
+  return { destination, blob, filename };
+}
+
+/**
+ * 依次绘制并交付各分段，每个分段导出并保存到历史后立即释放，再绘制下一个
+ * 超出画布尺寸限制而拆分的截图按序号依次下载（剪贴板只能容纳一张图片，预览页也无法编辑分段）
+ * @param {Function[]} parts - 分段绘制函数（按顺序）
+ * @param {Object} options - 导出选项
+ * @param {chrome.tabs.Tab} [openerTab] - 发起截图的标签页
+ * @param {number} [frameId] - 发起截图的 frame ID
+ * @returns {Promise<Array<{ destination: string, clipboardFallback?: boolean }>>} - 每个分段的交付结果
+ */
+async function deliverParts(parts, options, openerTab, frameId) {
+  const partOptions = parts.length > 1
+    ? { ...options, destination: 'download', partCount: parts.length, timestamp: Date.now() }
+    : options;
+
+  const results = [];
+  for (const [index, renderPart] of parts.entries()) {
+    const canvas = renderPart();
+    console.log(`[ESC Background] Part ${index + 1}/${parts.length}:`, canvas.width, '×', canvas.height);
+
+    const result = await deliverCanvas(canvas, { ...partOptions, part: index + 1 }, openerTab, frameId);
+    if (result.blob) {
+      await saveToHistory(canvas, result, options.source);
+    }
+    results.push({ destination: result.destination, clipboardFallback: result.clipboardFallback });
+
+    // 释放画布占用的内存
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+  return results;
+}
+
+/**
+ * 生成历史记录缩略图（长图只保留顶部）
+ * @param {OffscreenCanvas} canvas - 画布
+ * @returns {Promise<Blob>}
+ */
+async function createThumbnail(canvas) {
+  const width = Math.min(320, canvas.width);
+  const scale = width / canvas.width;
+  const sourceHeight = Math.min(canvas.height, Math.round(400 / scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const thumbnail = new OffscreenCanvas(width, height);
+  const ctx = thumbnail.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(canvas, 0, 0, canvas.width, sourceHeight, 0, 0, width, height);
+
+  return thumbnail.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+}
+
+/**
+ * 保存到截图历史（失败不影响截图本身）
+ * @param {OffscreenCanvas} canvas - 画布
+ * @param {Object} result - deliverCanvas 的返回值
+ * @param {Object} [source] - 截图来源 { url, title, selector }
+ */
+async function saveToHistory(canvas, result, source = {}) {
+  try {
+    await historyStore.add({
+      blob: result.blob,
+      thumbnail: await createThumbnail(canvas),
+      filename: result.filename,
+      url: source.url || '',
+      title: source.title || '',
+      selector: source.selector || '',
+      width: canvas.width,
+      height: canvas.height
+    });
+
+    const removed = await historyStore.enforceQuota();
+    if (removed > 0) {
+      console.log('[ESC Background] History quota exceeded, removed', removed, 'entries');
+    }
+  } catch (error) {
+    console.warn('[ESC Background] Failed to save history:', error);
+  }
+}
+
 // 消息处理
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const tabId = sender.tab?.id;
@@ -246,27 +1002,52 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true; // 异步响应
 
     case 'STITCH_AND_DOWNLOAD':
-      // 拼接并下载
-      console.log('[ESC Background] Received STITCH_AND_DOWNLOAD', message.frames?.length, 'frames');
+    case 'COMPOSE_AND_DOWNLOAD':
+      // 拼接（多选时再拼合各元素）并交付（下载、复制到剪贴板或预览）
+      console.log('[ESC Background] Received', message.type);
       (async () => {
+        const options = message.options || {};
+
         try {
           console.log('[ESC Background] Starting stitch...');
-          const blob = await stitchFrames(message.frames, message.options);
-          console.log('[ESC Background] Stitch complete, blob size:', blob.size);
+          let parts;
+          let gaps = 0;
+          if (message.type === 'COMPOSE_AND_DOWNLOAD') {
+            const stitched = [];
+            for (const part of message.parts) {
+              stitched.push(await stitchToParts(part.frames, part.stitchOptions));
+            }
+            gaps = stitched.reduce((sum, result) => sum + result.gaps, 0);
 
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-          const filename = `element-capture-${timestamp}.png`;
-          console.log('[ESC Background] Downloading:', filename);
+            if (stitched.every(result => result.parts.length === 1)) {
+              const canvases = stitched.map(result => result.parts[0]());
+              parts = composeCanvases(canvases, options).map(canvas => () => canvas);
+            } else {
+              // 某个元素本身已超出画布尺寸限制，不再拼合，各元素的分段按顺序保存
+              console.warn('[ESC Background] A capture exceeds canvas limits, saving elements separately');
+              parts = stitched.flatMap(result => result.parts);
+            }
+          } else {
+            ({ parts, gaps } = await stitchToParts(message.frames, options));
+          }
+          console.log('[ESC Background] Stitch complete, parts:', parts.length, 'gaps:', gaps);
 
-          await downloadImage(blob, filename);
-          console.log('[ESC Background] Download initiated');
+          const results = await deliverParts(parts, options, sender.tab, sender.frameId);
+          const { destination, clipboardFallback } = results[0];
 
-          // 通知 content script 完成
-          chrome.tabs.sendMessage(tabId, { type: 'CAPTURE_COMPLETE' });
-          sendResponse({ success: true });
+          // 通知完成
+          const partCount = parts.length;
+          notifyCaptureResult(tabId, {
+            type: 'CAPTURE_COMPLETE',
+            destination,
+            partCount,
+            clipboardFallback,
+            gaps
+          });
+          sendResponse({ success: true, destination, partCount, gaps });
         } catch (error) {
           console.error('[ESC Background] Error:', error);
-          chrome.tabs.sendMessage(tabId, {
+          notifyCaptureResult(tabId, {
             type: 'CAPTURE_ERROR',
             error: error.message
           });
@@ -274,10 +1055,109 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
       })();
       return true; // 异步响应
+
+    case 'ELEMENT_SELECTED':
+    case 'INSPECTOR_CANCELLED':
+      // 某个 frame 已完成或取消选择，停止其他 frame 中的选择器
+      if (tabId) {
+        chrome.tabs.sendMessage(tabId, { type: 'CANCEL_INSPECTOR' }).catch(() => {});
+      }
+      return false;
+
+    case 'GET_PREVIEW':
+      // 预览编辑页读取截图
+      historyStore.getPreview(message.id)
+        .then(async preview => {
+          if (preview) {
+            sendResponse({
+              success: true,
+              dataUrl: await blobToDataUrl(preview.blob),
+              options: preview.options
+            });
+          } else {
+            sendResponse({ success: false, error: 'Preview not found or expired' });
+          }
+        })
+        .catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // 异步响应
+
+    case 'DISCARD_PREVIEW':
+      historyStore.deletePreview(message.id)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // 异步响应
+
+    case 'EXPORT_IMAGE':
+      // 预览编辑页编辑完成后，按所选格式导出并下载
+      (async () => {
+        try {
+          const bitmap = await dataUrlToImageBitmap(message.dataUrl);
+          const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+          canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+          const options = { ...message.options, destination: 'download' };
+          const result = await deliverCanvas(canvas, options);
+          await saveToHistory(canvas, result, options.source);
+
+          sendResponse({ success: true, destination: result.destination });
+        } catch (error) {
+          console.error('[ESC Background] Export error:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // 异步响应
+  }
+});
+
+/**
+ * 快捷键命令对应的 content script 消息
+ * 选择器在所有 frame 中启动，其余命令只发给顶层 frame
+ */
+const COMMAND_MESSAGES = {
+  'start-picker': { type: 'START_INSPECTOR', allFrames: true },
+  'recapture-last': { type: 'RECAPTURE_LAST' },
+  'capture-full-page': { type: 'CAPTURE_PAGE' }
+};
+
+// 处理全局快捷键
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const message = COMMAND_MESSAGES[command];
+  if (!message || !tab?.id) return;
+
+  try {
+    await ensureContentScriptInjected(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { type: message.type },
+      message.allFrames ? {} : { frameId: 0 });
+  } catch (error) {
+    // chrome:// 等受限页面无法注入脚本
+    console.error('[ESC Background] Command failed:', command, error);
+  }
+});
+
+// 右键菜单：直接截取右键位置所在的滚动容器
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== 'capture-scroll-area' || !tab?.id) return;
+
+  try {
+    await ensureContentScriptInjected(tab.id);
+    // 发给右键所在的 frame
+    await chrome.tabs.sendMessage(tab.id, { type: 'CAPTURE_CONTEXT_TARGET' }, {
+      frameId: info.frameId || 0
+    });
+  } catch (error) {
+    console.error('[ESC Background] Context menu capture failed:', error);
   }
 });
 
 // 扩展安装/更新时的处理
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Element Screen Capture installed:', details.reason);
+
+  chrome.contextMenus.create({
+    id: 'capture-scroll-area',
+    title: '截取此滚动区域',
+    contexts: ['page', 'selection', 'link', 'image']
+  });
 });
@@ -23,21 +23,106 @@ async function loadModule(src) {
 
 // 由于 MV3 不支持动态 script 注入到页面上下文，我们直接在 content script 中定义模块
 
+/**
+ * 扩展注入到页面中的 UI 元素（选择器高亮、提示、进度条等）
+ * 只匹配这些确切的类名，页面自身含有 esc- 字样的类名不受影响
+ */
+const ESC_UI_SELECTOR = [
+  '.esc-highlight-overlay',
+  '.esc-size-label',
+  '.esc-breadcrumb',
+  '.esc-tooltip',
+  '.esc-selection-marker',
+  '.esc-progress-indicator'
+].join(', ');
+
+// ============ Shadow DOM 工具 ============
+/**
+ * 获取元素在扁平树中的父元素：被分配到 slot 的元素返回所在的 slot，
+ * shadow root 的顶层元素返回宿主元素（getRootNode().host）
+ */
+function getComposedParent(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot;
+  }
+  if (element.parentElement) {
+    return element.parentElement;
+  }
+  const root = element.getRootNode();
+  return root instanceof ShadowRoot ? root.host : null;
+}
+
+/**
+ * 查找坐标处最内层的元素，递归穿透 open shadow root
+ * （document.elementFromPoint 只会返回 shadow 宿主）
+ */
+function deepElementFromPoint(x, y) {
+  let element = document.elementFromPoint(x, y);
+  while (element?.shadowRoot) {
+    const inner = element.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === element) break;
+    element = inner;
+  }
+  return element;
+}
+
+// ============ 滚动容器判断 ============
+/**
+ * 元素是否为可滚动容器（Inspector 和 Scroller 共用）
+ * 同一方向上既设置了可滚动的 overflow 又确实有溢出内容才算（+1 容差）
+ */
+function isScrollableElement(element) {
+  if (!element || element === document.body || element === document.documentElement) {
+    return false;
+  }
+  const style = getComputedStyle(element);
+  const overflowY = style.overflowY;
+  const overflowX = style.overflowX;
+  const overflow = style.overflow;
+
+  // 检查是否有滚动相关的 overflow 设置
+  const hasOverflowY = overflowY === 'auto' || overflowY === 'scroll' ||
+                       overflow === 'auto' || overflow === 'scroll';
+  const hasOverflowX = overflowX === 'auto' || overflowX === 'scroll';
+
+  // 检查是否实际可以滚动（+1 容差）
+  const canScrollY = element.scrollHeight > element.clientHeight + 1;
+  const canScrollX = element.scrollWidth > element.clientWidth + 1;
+
+  return (hasOverflowY && canScrollY) || (hasOverflowX && canScrollX);
+}
+
 // ============ Inspector 模块 ============
 class Inspector {
-  constructor() {
+  /**
+   * @param {Scroller} scroller - 用于预估截图帧数
+   */
+  constructor(scroller) {
+    this.scroller = scroller;
     this.active = false;
     this.highlightEl = null;
     this.sizeLabel = null;
     this.tooltip = null;
     this.currentElement = null;
     this.altPressed = false;
+    // Shift + 点击多选的元素及其标记
+    this.selectedElements = [];
+    this.selectionMarkers = [];
+    // 键盘导航：鼠标最后悬停的元素，用于判断鼠标是否真正移动到了新元素上
+    this.hoveredElement = null;
+    // 祖先路径面包屑（由外到内）
+    this.breadcrumb = null;
+    this.breadcrumbPath = [];
+    // 鼠标是否在当前 frame 内（多个 frame 同时选择时只有一个显示高亮）
+    this.isHovering = false;
 
     this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleClick = this.handleClick.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     this.handleScroll = this.handleScroll.bind(this);
+    this.handleMouseLeave = this.handleMouseLeave.bind(this);
+    this.handleFrameMessage = this.handleFrameMessage.bind(this);
   }
 
   start(onSelect, onCancel) {
@@ -49,7 +134,10 @@ class Inspector {
 
     this.createOverlayElements();
     this.attachEventListeners();
-    this.showTooltip();
+    // 每个 frame 都会启动选择器，提示只在顶层显示
+    if (window === window.top) {
+      this.showTooltip();
+    }
   }
 
   stop() {
@@ -59,6 +147,8 @@ class Inspector {
     this.removeOverlayElements();
     this.detachEventListeners();
     this.currentElement = null;
+    this.hoveredElement = null;
+    this.selectedElements = [];
   }
 
   createOverlayElements() {
@@ -69,13 +159,25 @@ class Inspector {
     this.sizeLabel = document.createElement('div');
     this.sizeLabel.className = 'esc-size-label';
     document.body.appendChild(this.sizeLabel);
+
+    this.breadcrumb = document.createElement('div');
+    this.breadcrumb.className = 'esc-breadcrumb';
+    // 悬停在祖先上时预览高亮
+    this.breadcrumb.addEventListener('mouseover', (event) => {
+      const chip = event.target.closest('.esc-breadcrumb-chip');
+      if (chip) {
+        this.setCurrentElement(this.breadcrumbPath[chip.dataset.index]);
+      }
+    });
+    document.body.appendChild(this.breadcrumb);
   }
 
   showTooltip() {
     this.tooltip = document.createElement('div');
     this.tooltip.className = 'esc-tooltip';
     this.tooltip.innerHTML = `
-      移动鼠标选择元素 | 按住 <kbd>Alt</kbd> 选择父级滚动容器 | <kbd>Esc</kbd> 取消
+      移动鼠标选择元素 | 按住 <kbd>Alt</kbd> 选择父级滚动容器 | <kbd>↑</kbd><kbd>↓</kbd><kbd>←</kbd><kbd>→</kbd> 在 DOM 树中移动 |
+      <kbd>[</kbd><kbd>]</kbd> 切换滚动容器 | <kbd>Shift</kbd>+点击 多选 | <kbd>Esc</kbd> 取消
     `;
     document.body.appendChild(this.tooltip);
 
@@ -106,6 +208,163 @@ class Inspector {
       this.tooltip.remove();
       this.tooltip = null;
     }
+    if (this.breadcrumb) {
+      this.breadcrumb.remove();
+      this.breadcrumb = null;
+      this.breadcrumbPath = [];
+    }
+    this.selectionMarkers.forEach(marker => marker.remove());
+    this.selectionMarkers = [];
+  }
+
+  /**
+   * 面包屑中显示的元素名称（tag#id.class）
+   */
+  getElementLabel(element) {
+    let label = element.tagName.toLowerCase();
+    if (element.id) {
+      label += `#${element.id}`;
+    }
+    const classes = Array.from(element.classList).slice(0, 2);
+    if (classes.length > 0) {
+      label += `.${classes.join('.')}`;
+    }
+    return label;
+  }
+
+  /**
+   * 更新祖先面包屑：当前元素仍在已显示的路径中时只移动选中标记，否则重建路径
+   */
+  updateBreadcrumb(element) {
+    if (!this.breadcrumb) return;
+
+    this.breadcrumb.style.display = '';
+
+    if (!this.breadcrumbPath.includes(element)) {
+      const path = [];
+      for (let current = element; current && current !== document.documentElement; current = getComposedParent(current)) {
+        path.unshift(current);
+      }
+      this.breadcrumbPath = path;
+
+      this.breadcrumb.replaceChildren(...path.map((ancestor, index) => {
+        const chip = document.createElement('div');
+        chip.className = 'esc-breadcrumb-chip';
+        chip.classList.toggle('scrollable', this.isScrollable(ancestor));
+        chip.dataset.index = index;
+        chip.textContent = this.getElementLabel(ancestor);
+        chip.title = chip.textContent;
+        return chip;
+      }));
+
+      // 路径过长时保证最内层可见
+      this.breadcrumb.scrollLeft = this.breadcrumb.scrollWidth;
+    }
+
+    Array.from(this.breadcrumb.children).forEach((chip, index) => {
+      chip.classList.toggle('active', this.breadcrumbPath[index] === element);
+    });
+  }
+
+  /**
+   * 预估截图帧数和输出像素（判断逻辑与 Scroller.captureElementFrames 一致）
+   * 懒加载和虚拟列表模式下滚动高度会在截图过程中变化，只能给出下限，并受截图上限约束
+   * @returns {{ frames: number, megapixels: number, atLeast: boolean }}
+   */
+  estimateCapture(element) {
+    const { settings } = this.scroller;
+    const dpr = window.devicePixelRatio || 1;
+    const rect = element.getBoundingClientRect();
+    const scrollContainer = this.scroller.isScrollable(element)
+      ? element
+      : this.scroller.findScrollableParent(element);
+
+    let frames = 1;
+    let width = rect.width;
+    let height = rect.height;
+    let growing = false;
+
+    if (scrollContainer) {
+      const frameInfo = this.scroller.calculateFrames(scrollContainer);
+
+      if (scrollContainer === element && this.scroller.isHorizontallyScrollable(element)) {
+        // 网格截图
+        frames = frameInfo.totalRows * frameInfo.totalColumns;
+        width = element.scrollWidth;
+        height = element.scrollHeight;
+      } else if (frameInfo.scrollableHeight > 0) {
+        // 按目标元素高度滚动截图
+        const targetHeight = element.scrollHeight || element.offsetHeight;
+        const scrollableForTarget = Math.max(0, targetHeight - frameInfo.clientHeight);
+        const effectiveHeight = frameInfo.clientHeight * (1 - settings.overlapRatio);
+        frames = scrollableForTarget > 0
+          ? Math.ceil(scrollableForTarget / effectiveHeight) + 1
+          : 1;
+        height = targetHeight;
+
+        growing = settings.lazyLoadMode || settings.virtualizedMode;
+      }
+    }
+
+    let megapixels = (width * dpr) * (height * dpr) / 1000000;
+    let atLeast = false;
+
+    if (growing) {
+      // 达到任一上限时截图停止，未达到时实际结果只会更多
+      atLeast = frames < settings.lazyLoadMaxFrames && megapixels < settings.lazyLoadMaxMegapixels;
+      frames = Math.min(frames, settings.lazyLoadMaxFrames);
+      megapixels = Math.min(megapixels, settings.lazyLoadMaxMegapixels);
+    }
+
+    return { frames, megapixels, atLeast };
+  }
+
+  /**
+   * 切换元素的多选状态
+   */
+  toggleSelection(element) {
+    const index = this.selectedElements.indexOf(element);
+    if (index === -1) {
+      this.selectedElements.push(element);
+    } else {
+      this.selectedElements.splice(index, 1);
+    }
+    this.updateSelectionMarkers();
+  }
+
+  /**
+   * 为已多选的元素绘制带序号的标记，序号即拼合顺序
+   */
+  updateSelectionMarkers() {
+    while (this.selectionMarkers.length > this.selectedElements.length) {
+      this.selectionMarkers.pop().remove();
+    }
+    while (this.selectionMarkers.length < this.selectedElements.length) {
+      const marker = document.createElement('div');
+      marker.className = 'esc-selection-marker';
+      document.body.appendChild(marker);
+      this.selectionMarkers.push(marker);
+    }
+
+    this.selectedElements.forEach((element, index) => {
+      const rect = element.getBoundingClientRect();
+      const marker = this.selectionMarkers[index];
+      marker.style.left = `${rect.left}px`;
+      marker.style.top = `${rect.top}px`;
+      marker.style.width = `${rect.width}px`;
+      marker.style.height = `${rect.height}px`;
+      marker.dataset.index = index + 1;
+    });
+  }
+
+  /**
+   * 结束选择并返回选中的元素（按选择顺序）
+   */
+  confirmSelection(elements) {
+    this.stop();
+    if (this.onSelect) {
+      this.onSelect(elements);
+    }
   }
 
   attachEventListeners() {
@@ -114,6 +373,8 @@ class Inspector {
     document.addEventListener('keydown', this.handleKeyDown, true);
     document.addEventListener('keyup', this.handleKeyUp, true);
     window.addEventListener('scroll', this.handleScroll, true);
+    document.documentElement.addEventListener('mouseleave', this.handleMouseLeave);
+    window.addEventListener('message', this.handleFrameMessage);
   }
 
   detachEventListeners() {
@@ -122,24 +383,49 @@ class Inspector {
     document.removeEventListener('keydown', this.handleKeyDown, true);
     document.removeEventListener('keyup', this.handleKeyUp, true);
     window.removeEventListener('scroll', this.handleScroll, true);
+    document.documentElement.removeEventListener('mouseleave', this.handleMouseLeave);
+    window.removeEventListener('message', this.handleFrameMessage);
   }
 
-  isScrollable(element) {
-    if (!element || element === document.body || element === document.documentElement) {
-      return false;
+  /**
+   * 隐藏高亮（鼠标离开当前 frame 或进入子 frame 时）
+   */
+  hideHighlight() {
+    this.currentElement = null;
+    this.hoveredElement = null;
+    [this.highlightEl, this.sizeLabel, this.breadcrumb].forEach(element => {
+      if (element) {
+        element.style.display = 'none';
+      }
+    });
+  }
+
+  /**
+   * 鼠标进入当前 frame 时通知上级 frame 隐藏高亮，把选择交给当前 frame
+   */
+  notifyParentHover() {
+    if (window !== window.top) {
+      window.parent.postMessage({ escInspectorHover: true }, '*');
     }
+  }
 
-    const style = getComputedStyle(element);
-    const overflowY = style.overflowY;
-    const overflowX = style.overflowX;
+  handleMouseLeave() {
+    if (!this.active) return;
 
-    const hasOverflow = overflowY === 'auto' || overflowY === 'scroll' ||
-                        overflowX === 'auto' || overflowX === 'scroll';
+    this.isHovering = false;
+    this.hideHighlight();
+  }
+
+  handleFrameMessage(event) {
+    if (!this.active || !event.data?.escInspectorHover || event.source === window) return;
 
-    const canScrollVertically = element.scrollHeight > element.clientHeight;
-    const canScrollHorizontally = element.scrollWidth > element.clientWidth;
+    this.isHovering = false;
+    this.hideHighlight();
+    this.notifyParentHover();
+  }
 
-    return hasOverflow && (canScrollVertically || canScrollHorizontally);
+  isScrollable(element) {
+    return isScrollableElement(element);
   }
 
   findScrollableParent(element) {
@@ -149,18 +435,96 @@ class Inspector {
       if (this.isScrollable(current)) {
         return current;
       }
-      current = current.parentElement;
+      current = getComposedParent(current);
     }
 
     return null;
   }
 
+  /**
+   * 生成元素的 CSS 选择器（优先使用唯一 id，否则使用 nth-of-type 路径）
+   * 元素位于 shadow DOM 中时，选择器相对于所在的 shadow root
+   */
+  getSelector(element) {
+    const parts = [];
+    const root = element.getRootNode();
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE &&
+           current !== document.body && current !== document.documentElement) {
+      if (current.id && root.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        return parts.join(' > ');
+      }
+
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+
+    if (current === document.body) {
+      parts.unshift('body');
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * 生成从文档到元素的选择器链：依次为各层 shadow 宿主和元素本身，
+   * 每一项相对于上一项的 shadowRoot（不在 shadow DOM 中时只有一项）
+   * @returns {string[]}
+   */
+  getSelectorPath(element) {
+    const path = [];
+    let current = element;
+
+    while (current) {
+      path.unshift(this.getSelector(current));
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+
+    return path;
+  }
+
+  /**
+   * 按选择器链查找元素，逐层进入宿主的 shadowRoot（closed shadow root 无法进入）
+   * @param {string[]} path - getSelectorPath 的结果
+   * @returns {Element|null}
+   */
+  querySelectorPath(path) {
+    let scope = document;
+    let element = null;
+
+    for (const selector of path) {
+      element = scope?.querySelector(selector) || null;
+      if (!element) return null;
+      scope = element.shadowRoot;
+    }
+
+    return element;
+  }
+
+  /**
+   * 是否为选择器自身创建的覆盖层元素
+   */
+  isInspectorElement(element) {
+    return ['esc-highlight-overlay', 'esc-size-label', 'esc-tooltip', 'esc-selection-marker',
+      'esc-breadcrumb', 'esc-breadcrumb-chip']
+      .some(className => element.classList.contains(className));
+  }
+
   getTargetElement(element) {
     if (!element) return null;
 
-    if (element.classList.contains('esc-highlight-overlay') ||
-        element.classList.contains('esc-size-label') ||
-        element.classList.contains('esc-tooltip')) {
+    if (this.isInspectorElement(element)) {
       return null;
     }
 
@@ -180,6 +544,8 @@ class Inspector {
     const rect = element.getBoundingClientRect();
     const isScrollable = this.isScrollable(element);
 
+    this.highlightEl.style.display = '';
+    this.sizeLabel.style.display = '';
     this.highlightEl.style.left = `${rect.left}px`;
     this.highlightEl.style.top = `${rect.top}px`;
     this.highlightEl.style.width = `${rect.width}px`;
@@ -203,7 +569,11 @@ class Inspector {
       }
     }
 
+    const estimate = this.estimateCapture(element);
+    sizeText += `<span class="frame-info">${estimate.atLeast ? '≥' : '≈'} ${estimate.frames} 帧 · ${estimate.megapixels.toFixed(1)} MP</span>`;
+
     this.sizeLabel.innerHTML = sizeText;
+    this.updateBreadcrumb(element);
 
     const labelHeight = 24;
     const margin = 8;
@@ -223,13 +593,133 @@ class Inspector {
     this.lastMouseX = event.clientX;
     this.lastMouseY = event.clientY;
 
-    const element = document.elementFromPoint(event.clientX, event.clientY);
+    if (!this.isHovering) {
+      this.isHovering = true;
+      this.notifyParentHover();
+    }
+
+    const element = deepElementFromPoint(event.clientX, event.clientY);
+    if (element && this.breadcrumb?.contains(element)) return;
+
     const target = this.getTargetElement(element);
 
-    if (target && target !== this.currentElement) {
-      this.currentElement = target;
-      this.updateHighlight(target);
+    // 鼠标仍在同一元素上时保留键盘导航的结果
+    if (target && target !== this.hoveredElement) {
+      this.hoveredElement = target;
+      this.setCurrentElement(target);
+    }
+  }
+
+  /**
+   * 切换当前高亮的元素
+   */
+  setCurrentElement(element) {
+    if (!element || element === this.currentElement) return;
+
+    this.currentElement = element;
+    this.updateHighlight(element);
+  }
+
+  /**
+   * 查找相邻的兄弟元素（跳过选择器自身的覆盖层）
+   * @param {Element} element - 当前元素
+   * @param {string} direction - previousElementSibling / nextElementSibling
+   */
+  findSibling(element, direction) {
+    let sibling = element[direction];
+    while (sibling && this.isInspectorElement(sibling)) {
+      sibling = sibling[direction];
+    }
+    return sibling;
+  }
+
+  /**
+   * 列出元素自身及祖先中的滚动容器（由内到外）
+   */
+  getScrollableAncestors(element) {
+    const ancestors = [];
+    for (let current = element; current && current !== document.body; current = getComposedParent(current)) {
+      if (this.isScrollable(current)) {
+        ancestors.push(current);
+      }
+    }
+    return ancestors;
+  }
+
+  /**
+   * 在鼠标所在元素的滚动容器之间循环切换
+   * @param {number} step - 1 向外，-1 向内
+   */
+  cycleScrollableAncestor(step) {
+    let ancestors = this.getScrollableAncestors(this.hoveredElement);
+    if (!ancestors.includes(this.currentElement)) {
+      ancestors = this.getScrollableAncestors(this.currentElement);
+    }
+    if (ancestors.length === 0) return;
+
+    const index = ancestors.indexOf(this.currentElement);
+    const next = index === -1
+      ? (step > 0 ? 0 : ancestors.length - 1)
+      : (index + step + ancestors.length) % ancestors.length;
+
+    this.setCurrentElement(ancestors[next]);
+  }
+
+  /**
+   * 处理键盘导航，返回是否已处理该按键
+   */
+  handleNavigationKey(event) {
+    const current = this.currentElement;
+    if (!current) return false;
+
+    switch (event.key) {
+      case 'ArrowUp': {
+        const parent = getComposedParent(current);
+        if (parent && parent !== document.documentElement) {
+          this.setCurrentElement(parent);
+        }
+        return true;
+      }
+
+      case 'ArrowDown': {
+        // 有 open shadow root 时进入 shadow 树
+        const children = (current.shadowRoot || current).children;
+        const child = Array.from(children).find(child => !this.isInspectorElement(child));
+        this.setCurrentElement(child);
+        return true;
+      }
+
+      case 'ArrowLeft':
+        this.setCurrentElement(this.findSibling(current, 'previousElementSibling'));
+        return true;
+
+      case 'ArrowRight':
+        this.setCurrentElement(this.findSibling(current, 'nextElementSibling'));
+        return true;
+
+      case ']':
+        this.cycleScrollableAncestor(1);
+        return true;
+
+      case '[':
+        this.cycleScrollableAncestor(-1);
+        return true;
+
+      case 'Enter':
+        // 与点击相同：Shift + Enter 切换多选，Enter 确认
+        if (event.shiftKey) {
+          this.toggleSelection(current);
+        } else {
+          const elements = [...this.selectedElements];
+          if (!elements.includes(current)) {
+            elements.push(current);
+          }
+          this.confirmSelection(elements);
+        }
+        return true;
     }
+
+    return false;
   }
 
   handleClick(event) {
@@ -238,14 +728,25 @@ class Inspector {
     event.preventDefault();
     event.stopPropagation();
 
-    if (this.currentElement) {
-      // 保存元素引用，因为 stop() 会清除 currentElement
-      const selectedElement = this.currentElement;
-      this.stop();
-      if (this.onSelect) {
-        this.onSelect(selectedElement);
-      }
+    // 点击面包屑时选中对应的祖先
+    const chip = event.target.closest?.('.esc-breadcrumb-chip');
+    if (chip) {
+      this.setCurrentElement(this.breadcrumbPath[chip.dataset.index]);
+    }
+
+    if (!this.currentElement) return;
+
+    if (event.shiftKey) {
+      this.toggleSelection(this.currentElement);
+      return;
+    }
+
+    // 已有多选时，普通点击把当前元素加入末尾并结束选择
+    const elements = [...this.selectedElements];
+    if (!elements.includes(this.currentElement)) {
+      elements.push(this.currentElement);
     }
+    this.confirmSelection(elements);
   }
 
   handleKeyDown(event) {
@@ -253,17 +754,22 @@ class Inspector {
 
     if (event.key === 'Alt') {
       this.altPressed = true;
-      const element = document.elementFromPoint(
+      const element = deepElementFromPoint(
         this.lastMouseX || 0,
         this.lastMouseY || 0
       );
       const target = this.getTargetElement(element);
       if (target) {
-        this.currentElement = target;
-        this.updateHighlight(target);
+        this.setCurrentElement(target);
       }
     }
 
+    if (this.handleNavigationKey(event)) {
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
     if (event.key === 'Escape') {
       event.preventDefault();
       this.stop();
@@ -282,10 +788,13 @@ class Inspector {
   }
 
   handleScroll() {
-    if (!this.active || !this.currentElement) return;
+    if (!this.active) return;
 
     requestAnimationFrame(() => {
-      this.updateHighlight(this.currentElement);
+      if (this.currentElement) {
+        this.updateHighlight(this.currentElement);
+      }
+      this.updateSelectionMarkers();
     });
   }
 }
@@ -295,6 +804,8 @@ class Isolator {
   constructor() {
     this.isolatedElements = [];
     this.isIsolated = false;
+    this.maskedElements = [];
+    this.internalStickyElements = [];
   }
 
   isFixedOrSticky(element) {
@@ -306,13 +817,26 @@ class Isolator {
     let current = target;
     while (current) {
       if (current === ancestor) return true;
-      current = current.parentElement;
+      current = getComposedParent(current);
     }
     return false;
   }
 
   isDescendantOf(descendant, target) {
-    return target.contains(descendant);
+    return this.isAncestorOf(target, descendant);
+  }
+
+  /**
+   * 递归收集元素，包括 open shadow root 中的元素
+   */
+  scanShadowDOM(root, results = []) {
+    for (const element of root.querySelectorAll('*')) {
+      results.push(element);
+      if (element.shadowRoot) {
+        this.scanShadowDOM(element.shadowRoot, results);
+      }
+    }
+    return results;
   }
 
   rectsOverlap(rect1, rect2) {
@@ -351,10 +875,14 @@ class Isolator {
       return [];
     }
 
-    const targetRect = targetElement.getBoundingClientRect();
+    // 整页模式：目标为根元素，所有元素都是其后代，改为与视口比较
+    const isPage = targetElement === document.documentElement;
+    const targetRect = isPage
+      ? { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight }
+      : targetElement.getBoundingClientRect();
     const elementsToIsolate = [];
 
-    const allElements = document.querySelectorAll('*');
+    const allElements = this.scanShadowDOM(document);
 
     allElements.forEach(element => {
       if (!element) return;
@@ -362,8 +890,10 @@ class Isolator {
         if (!this.isFixedOrSticky(element)) return;
 
         if (element === targetElement) return;
-        if (this.isAncestorOf(element, targetElement)) return;
-        if (this.isDescendantOf(element, targetElement)) return;
+        if (!isPage) {
+          if (this.isAncestorOf(element, targetElement)) return;
+          if (this.isDescendantOf(element, targetElement)) return;
+        }
 
         if (element.classList.contains('esc-highlight-overlay') ||
             element.classList.contains('esc-size-label') ||
@@ -413,72 +943,587 @@ class Isolator {
     return elementsToIsolate.length;
   }
 
-  restore() {
-    if (!this.isIsolated) return;
+  /**
+   * 查找目标元素内部的 fixed / sticky 元素（表头、聊天日期分隔条等）
+   * findElementsToIsolate 会跳过这些元素，它们会出现在每一帧中
+   */
+  findInternalSticky(targetElement) {
+    const elements = this.scanShadowDOM(targetElement);
+    if (targetElement.shadowRoot) {
+      this.scanShadowDOM(targetElement.shadowRoot, elements);
+    }
 
-    for (const { element, originalVisibility, originalPointerEvents } of this.isolatedElements) {
+    return elements.filter(element => {
       try {
-        element.style.visibility = originalVisibility;
-        element.style.pointerEvents = originalPointerEvents;
-        element.removeAttribute('data-esc-isolated');
+        return this.isFixedOrSticky(element) && !element.hasAttribute('data-esc-internal-sticky');
       } catch (e) {
-        console.warn('[ESC] Failed to restore element:', e);
+        return false;
       }
+    });
+  }
+
+  /**
+   * 处理目标元素内部的 fixed / sticky 元素，避免在拼接结果中重复出现
+   * @param {Element} targetElement - 截图目标
+   * @param {string} mode - first-frame: 隐藏（在第一帧之后调用）；static: 将 sticky 元素改为普通定位
+   * @returns {number} - 处理的元素数量
+   */
+  handleInternalSticky(targetElement, mode) {
+    let count = 0;
+
+    for (const element of this.findInternalSticky(targetElement)) {
+      // fixed 元素改为 static 会改变布局，static 模式只处理 sticky 元素
+      const property = mode === 'static' ? 'position' : 'visibility';
+      if (property === 'position' && getComputedStyle(element).position !== 'sticky') continue;
+
+      this.internalStickyElements.push({
+        element,
+        property,
+        originalValue: element.style[property]
+      });
+
+      element.style[property] = property === 'position' ? 'static' : 'hidden';
+      element.setAttribute('data-esc-internal-sticky', mode);
+      count++;
     }
 
-    this.isolatedElements = [];
-    this.isIsolated = false;
+    if (count > 0) {
+      console.log(`[ESC] Handled ${count} internal sticky elements (${mode})`);
+    }
 
-    console.log('[ESC] Restored all isolated elements');
+    return count;
   }
 
-  forceRestore() {
-    const isolatedElements = document.querySelectorAll('[data-esc-isolated="true"]');
+  /**
+   * 恢复目标元素内部的 fixed / sticky 元素
+   */
+  restoreInternalSticky() {
+    for (const { element, property, originalValue } of this.internalStickyElements) {
+      try {
+        element.style[property] = originalValue;
+        element.removeAttribute('data-esc-internal-sticky');
+      } catch (e) {
+        console.warn('[ESC] Failed to restore internal sticky element:', e);
+      }
+    }
 
-    isolatedElements.forEach(element => {
-      element.style.visibility = '';
-      element.style.pointerEvents = '';
-      element.removeAttribute('data-esc-isolated');
-    });
+    this.internalStickyElements = [];
+  }
 
-    this.isolatedElements = [];
-    this.isIsolated = false;
+  /**
+   * 判断遮盖规则是否适用于当前网站（未指定网站的规则全局生效）
+   */
+  ruleMatchesHost(rule, hostname) {
+    const host = (rule.host || '').trim().toLowerCase();
+    if (!host || host === '*') return true;
+    return hostname === host || hostname.endsWith(`.${host}`);
   }
-}
 
-// ============ Scroller 模块 ============
-class Scroller {
-  constructor() {
-    this.progressIndicator = null;
+  /**
+   * 注入像素化所需的 SVG 滤镜
+   */
+  ensureMaskFilters() {
+    if (document.getElementById('esc-mask-filters')) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = `
+      <svg id="esc-mask-filters" aria-hidden="true"
+           style="position: absolute; width: 0; height: 0; overflow: hidden;">
+        <filter id="esc-pixelate" x="0" y="0" width="100%" height="100%">
+          <feFlood x="4" y="4" height="2" width="2"/>
+          <feComposite width="10" height="10"/>
+          <feTile result="tile"/>
+          <feComposite in="SourceGraphic" in2="tile" operator="in"/>
+          <feMorphology operator="dilate" radius="5"/>
+        </filter>
+      </svg>
+    `;
+    document.body.appendChild(wrapper.firstElementChild);
   }
 
-  calculateFrames(element) {
-    const clientHeight = element.clientHeight;
-    const scrollHeight = element.scrollHeight;
-    const scrollTop = element.scrollTop;
+  /**
+   * 按 CSS 选择器规则遮盖目标元素内的元素（模糊 / 像素化 / 涂黑）
+   * @param {Element} targetElement - 截图目标
+   * @param {Array} rules - [{ selector, effect, host }]
+   */
+  applyMaskRules(targetElement, rules = []) {
+    const hostname = location.hostname.toLowerCase();
+    let count = 0;
 
-    const scrollableHeight = scrollHeight - clientHeight;
+    for (const rule of rules) {
+      if (!rule.selector || !this.ruleMatchesHost(rule, hostname)) continue;
 
-    if (scrollableHeight <= 0) {
-      return {
-        totalFrames: 1,
-        frameHeight: clientHeight,
-        scrollableHeight: 0,
-        initialScrollTop: scrollTop
-      };
+      let elements;
+      try {
+        elements = Array.from(targetElement.querySelectorAll(rule.selector));
+        if (targetElement.matches(rule.selector)) {
+          elements.unshift(targetElement);
+        }
+      } catch (e) {
+        console.warn('[ESC] Invalid mask selector:', rule.selector);
+        continue;
+      }
+
+      for (const element of elements) {
+        if (element.hasAttribute('data-esc-masked')) continue;
+
+        this.maskedElements.push({
+          element,
+          originalFilter: element.style.filter,
+          originalBackground: element.style.background
+        });
+
+        if (rule.effect === 'pixelate') {
+          this.ensureMaskFilters();
+          element.style.filter = 'url(#esc-pixelate)';
+        } else if (rule.effect === 'blackout') {
+          element.style.filter = 'brightness(0)';
+          element.style.background = '#000';
+        } else {
+          element.style.filter = 'blur(8px)';
+        }
+        element.setAttribute('data-esc-masked', rule.effect || 'blur');
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      console.log(`[ESC] Masked ${count} elements by selector rules`);
+    }
+
+    return count;
+  }
+
+  /**
+   * 恢复被遮盖的元素
+   */
+  restoreMasks() {
+    for (const { element, originalFilter, originalBackground } of this.maskedElements) {
+      try {
+        element.style.filter = originalFilter;
+        element.style.background = originalBackground;
+        element.removeAttribute('data-esc-masked');
+      } catch (e) {
+        console.warn('[ESC] Failed to restore masked element:', e);
+      }
+    }
+
+    this.maskedElements = [];
+
+    const filters = document.getElementById('esc-mask-filters');
+    if (filters) {
+      filters.remove();
+    }
+  }
+
+  restore() {
+    this.restoreMasks();
+    this.restoreInternalSticky();
+
+    if (!this.isIsolated) return;
+
+    for (const { element, originalVisibility, originalPointerEvents } of this.isolatedElements) {
+      try {
+        element.style.visibility = originalVisibility;
+        element.style.pointerEvents = originalPointerEvents;
+        element.removeAttribute('data-esc-isolated');
+      } catch (e) {
+        console.warn('[ESC] Failed to restore element:', e);
+      }
+    }
+
+    this.isolatedElements = [];
+    this.isIsolated = false;
+
+    console.log('[ESC] Restored all isolated elements');
+  }
+
+  forceRestore() {
+    const isolatedElements = document.querySelectorAll('[data-esc-isolated="true"]');
+
+    isolatedElements.forEach(element => {
+      element.style.visibility = '';
+      element.style.pointerEvents = '';
+      element.removeAttribute('data-esc-isolated');
+    });
+
+    this.restoreMasks();
+    this.restoreInternalSticky();
+
+    // 兜底：清理没有记录的内部 sticky 元素和遮盖标记
+    document.querySelectorAll('[data-esc-internal-sticky]').forEach(element => {
+      if (element.getAttribute('data-esc-internal-sticky') === 'static') {
+        element.style.position = '';
+      } else {
+        element.style.visibility = '';
+      }
+      element.removeAttribute('data-esc-internal-sticky');
+    });
+
+    document.querySelectorAll('[data-esc-masked]').forEach(element => {
+      element.style.filter = '';
+      element.style.background = '';
+      element.removeAttribute('data-esc-masked');
+    });
+
+    this.isolatedElements = [];
+    this.isIsolated = false;
+  }
+}
+
+// ============ Redactor 模块 ============
+class Redactor {
+  constructor() {
+    this.redactedNodes = [];
+    this.isRedacted = false;
+
+    // 敏感信息规则（credit card 额外做 Luhn 校验）
+    this.patterns = [
+      { type: 'email', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+      { type: 'ipv4', regex: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+      { type: 'ipv6', regex: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+      { type: 'apiKey', regex: /\b(?:sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})/g },
+      // 通用密钥：32 位以上且同时包含字母和数字的连续字符串
+      { type: 'apiKey', regex: /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g },
+      { type: 'creditCard', regex: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g },
+      { type: 'phone', regex: /(?<![\w+])1[3-9]\d{9}(?!\d)/g },
+      { type: 'phone', regex: /(?<![\w+])(?:\+\d{1,3}[\s-]?)?(?:\(\d{1,4}\)[\s-]?|\d{1,4}[\s-])?\d{3,4}[\s-]\d{4}(?!\d)/g }
+    ];
+  }
+
+  /**
+   * Luhn 校验，过滤掉普通的长数字
+   */
+  passesLuhn(text) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * 查找文本中所有敏感信息的区间（已合并重叠部分）
+   */
+  findMatches(text) {
+    const ranges = [];
+
+    for (const { type, regex } of this.patterns) {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (type === 'creditCard' && !this.passesLuhn(match[0])) continue;
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * 收集需要扫描的文本节点
+   */
+  collectTextNodes(root) {
+    const skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE']);
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || skipTags.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        if (parent.closest(ESC_UI_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return node.data.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+
+    const nodes = [];
+    let node = walker.nextNode();
+    while (node) {
+      nodes.push(node);
+      node = walker.nextNode();
+    }
+    return nodes;
+  }
+
+  /**
+   * 遮盖目标元素内的敏感信息
+   * 原文本节点整体替换为「文本 + 遮盖 span」片段，恢复时放回原节点，
+   * 保证页面框架（如 React）持有的节点引用不受影响
+   */
+  redact(root) {
+    if (this.isRedacted) {
+      console.warn('[ESC] Already redacted, call restore() first');
+      return 0;
+    }
+
+    let count = 0;
+
+    for (const textNode of this.collectTextNodes(root)) {
+      const text = textNode.data;
+      const matches = this.findMatches(text);
+      if (matches.length === 0) continue;
+
+      const replacements = [];
+      let cursor = 0;
+
+      for (const { start, end } of matches) {
+        if (start > cursor) {
+          replacements.push(document.createTextNode(text.slice(cursor, start)));
+        }
+
+        const span = document.createElement('span');
+        span.textContent = text.slice(start, end);
+        span.setAttribute('data-esc-redacted', 'true');
+        span.style.setProperty('background', '#000', 'important');
+        span.style.setProperty('color', 'transparent', 'important');
+        span.style.setProperty('text-shadow', 'none', 'important');
+        span.style.setProperty('border-radius', '2px', 'important');
+        replacements.push(span);
+
+        cursor = end;
+        count++;
+      }
+
+      if (cursor < text.length) {
+        replacements.push(document.createTextNode(text.slice(cursor)));
+      }
+
+      const parent = textNode.parentNode;
+      for (const node of replacements) {
+        parent.insertBefore(node, textNode);
+      }
+      parent.removeChild(textNode);
+
+      this.redactedNodes.push({ textNode, replacements });
+    }
+
+    this.isRedacted = true;
+
+    console.log(`[ESC] Redacted ${count} sensitive ranges`);
+
+    return count;
+  }
+
+  /**
+   * 恢复被遮盖的文本
+   */
+  restore() {
+    if (!this.isRedacted) return;
+
+    for (const { textNode, replacements } of this.redactedNodes) {
+      try {
+        const first = replacements[0];
+        if (first.parentNode) {
+          first.parentNode.insertBefore(textNode, first);
+        }
+        replacements.forEach(node => node.remove());
+      } catch (e) {
+        console.warn('[ESC] Failed to restore redacted text:', e);
+      }
+    }
+
+    this.redactedNodes = [];
+    this.isRedacted = false;
+
+    console.log('[ESC] Restored all redacted text');
+  }
+
+  /**
+   * 强制恢复（用于错误处理）
+   */
+  forceRestore() {
+    this.restore();
+
+    // 兜底：清理残留的遮盖 span
+    document.querySelectorAll('[data-esc-redacted="true"]').forEach(span => {
+      span.replaceWith(document.createTextNode(span.textContent));
+    });
+
+    this.redactedNodes = [];
+    this.isRedacted = false;
+  }
+}
+
+// ============ FrameLocator 模块 ============
+/**
+ * 定位当前 frame 在顶层视口中的位置
+ * captureVisibleTab 截取的是整个标签页，iframe 内的裁剪区域需要逐级加上各层 iframe 的偏移。
+ * 跨域 iframe 无法直接访问父级 DOM，因此通过 postMessage 逐级向上询问，由父级 frame 中的 content script 计算。
+ */
+class FrameLocator {
+  constructor() {
+    this.pendingRequests = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
+    window.addEventListener('message', this.handleMessage);
+  }
+
+  /**
+   * 获取当前 frame 内容区域在顶层视口中的位置
+   * @returns {Promise<{ left: number, top: number, clip: Object|null }>} - clip 为顶层视口中实际可见的范围 { left, top, right, bottom }，顶层 frame 为 null
+   */
+  getOffset() {
+    if (window === window.top) {
+      return Promise.resolve({ left: 0, top: 0, clip: null });
+    }
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error('无法确定 iframe 在页面中的位置'));
+      }, 2000);
+
+      this.pendingRequests.set(id, (offset) => {
+        clearTimeout(timer);
+        resolve(offset);
+      });
+
+      window.parent.postMessage({ escFrameOffsetRequest: id }, '*');
+    });
+  }
+
+  async handleMessage(event) {
+    const data = event.data;
+    if (!data || typeof data !== 'object') return;
+
+    // 父级 frame 的回复
+    if (data.escFrameOffsetResponse && event.source === window.parent) {
+      const resolve = this.pendingRequests.get(data.escFrameOffsetResponse);
+      if (resolve) {
+        this.pendingRequests.delete(data.escFrameOffsetResponse);
+        resolve(data.offset);
+      }
+      return;
+    }
+
+    // 子 frame 的询问
+    if (data.escFrameOffsetRequest) {
+      const frame = Array.from(document.querySelectorAll('iframe, frame'))
+        .find(element => element.contentWindow === event.source);
+      if (!frame) return;
+
+      try {
+        const offset = await this.getChildOffset(frame);
+        event.source.postMessage({
+          escFrameOffsetResponse: data.escFrameOffsetRequest,
+          offset
+        }, '*');
+      } catch (error) {
+        console.warn('[ESC] Failed to locate child frame:', error);
+      }
+    }
+  }
+
+  /**
+   * 计算子 frame 内容区域（不含边框和内边距）在顶层视口中的位置和可见范围
+   * @param {HTMLIFrameElement} frame - 子 frame 元素
+   */
+  async getChildOffset(frame) {
+    const rect = frame.getBoundingClientRect();
+    const style = getComputedStyle(frame);
+    const paddingLeft = parseFloat(style.paddingLeft) || 0;
+    const paddingTop = parseFloat(style.paddingTop) || 0;
+    const paddingRight = parseFloat(style.paddingRight) || 0;
+    const paddingBottom = parseFloat(style.paddingBottom) || 0;
+
+    const left = rect.left + frame.clientLeft + paddingLeft;
+    const top = rect.top + frame.clientTop + paddingTop;
+    const right = left + frame.clientWidth - paddingLeft - paddingRight;
+    const bottom = top + frame.clientHeight - paddingTop - paddingBottom;
+
+    const parent = await this.getOffset();
+
+    // 子 frame 在本 frame 视口中的可见部分，换算到顶层视口后再与本 frame 的可见范围求交
+    let clip = {
+      left: Math.max(0, left) + parent.left,
+      top: Math.max(0, top) + parent.top,
+      right: Math.min(window.innerWidth, right) + parent.left,
+      bottom: Math.min(window.innerHeight, bottom) + parent.top
+    };
+    if (parent.clip) {
+      clip = {
+        left: Math.max(clip.left, parent.clip.left),
+        top: Math.max(clip.top, parent.clip.top),
+        right: Math.min(clip.right, parent.clip.right),
+        bottom: Math.min(clip.bottom, parent.clip.bottom)
+      };
     }
 
-    const overlapRatio = 0.2;
+    return {
+      left: left + parent.left,
+      top: top + parent.top,
+      clip
+    };
+  }
+}
+
+// ============ Scroller 模块 ============
+class Scroller {
+  constructor() {
+    this.progressIndicator = null;
+    this.redactor = new Redactor();
+    // 截图参数，每次截图前由选项页中的设置覆盖
+    this.settings = { ...DEFAULT_CAPTURE_SETTINGS };
+    // 当前 frame 在顶层视口中的偏移，截图前更新
+    this.frameLocator = new FrameLocator();
+    this.frameOffset = { left: 0, top: 0, clip: null };
+    // 截图期间被冻结的动画和音视频，结束后恢复
+    this.frozenState = null;
+  }
+
+  calculateFrames(element) {
+    const clientHeight = element.clientHeight;
+    const scrollHeight = element.scrollHeight;
+    const scrollTop = element.scrollTop;
+    const clientWidth = element.clientWidth;
+    const scrollWidth = element.scrollWidth;
+    const scrollLeft = element.scrollLeft;
+
+    const scrollableHeight = Math.max(0, scrollHeight - clientHeight);
+    const scrollableWidth = Math.max(0, scrollWidth - clientWidth);
+
+    const { overlapRatio } = this.settings;
     const effectiveHeight = clientHeight * (1 - overlapRatio);
+    const effectiveWidth = clientWidth * (1 - overlapRatio);
 
-    const totalFrames = Math.ceil(scrollableHeight / effectiveHeight) + 1;
+    const totalRows = scrollableHeight > 0
+      ? Math.ceil(scrollableHeight / effectiveHeight) + 1
+      : 1;
+    const totalColumns = scrollableWidth > 0
+      ? Math.ceil(scrollableWidth / effectiveWidth) + 1
+      : 1;
 
     return {
-      totalFrames,
-      frameHeight: effectiveHeight,
+      totalFrames: totalRows,
+      totalRows,
+      totalColumns,
+      frameHeight: scrollableHeight > 0 ? effectiveHeight : clientHeight,
+      frameWidth: scrollableWidth > 0 ? effectiveWidth : clientWidth,
       scrollableHeight,
+      scrollableWidth,
       initialScrollTop: scrollTop,
-      clientHeight
+      initialScrollLeft: scrollLeft,
+      clientHeight,
+      clientWidth
     };
   }
 
@@ -488,19 +1533,33 @@ class Scroller {
     const viewportHeight = window.innerHeight;
     const dpr = window.devicePixelRatio || 1;
 
-    const visibleLeft = Math.max(0, rect.left);
-    const visibleTop = Math.max(0, rect.top);
-    const visibleRight = Math.min(viewportWidth, rect.right);
-    const visibleBottom = Math.min(viewportHeight, rect.bottom);
+    let visibleLeft = Math.max(0, rect.left);
+    let visibleTop = Math.max(0, rect.top);
+    let visibleRight = Math.min(viewportWidth, rect.right);
+    let visibleBottom = Math.min(viewportHeight, rect.bottom);
+
+    // iframe 内的元素：换算到顶层视口坐标，并去掉 iframe 外不可见的部分
+    const { left: offsetLeft, top: offsetTop, clip } = this.frameOffset;
+    visibleLeft += offsetLeft;
+    visibleTop += offsetTop;
+    visibleRight += offsetLeft;
+    visibleBottom += offsetTop;
+    if (clip) {
+      visibleLeft = Math.max(clip.left, visibleLeft);
+      visibleTop = Math.max(clip.top, visibleTop);
+      visibleRight = Math.min(clip.right, visibleRight);
+      visibleBottom = Math.min(clip.bottom, visibleBottom);
+    }
 
-    const visibleWidth = visibleRight - visibleLeft;
-    const visibleHeight = visibleBottom - visibleTop;
+    const visibleWidth = Math.max(0, visibleRight - visibleLeft);
+    const visibleHeight = Math.max(0, visibleBottom - visibleTop);
 
     return {
       x: visibleLeft * dpr,
       y: visibleTop * dpr,
       width: visibleWidth * dpr,
       height: visibleHeight * dpr,
+      dpr,
       raw: {
         left: visibleLeft,
         top: visibleTop,
@@ -510,9 +1569,12 @@ class Scroller {
     };
   }
 
-  async scrollTo(element, scrollTop) {
+  async scrollTo(element, scrollTop, scrollLeft) {
     return new Promise(resolve => {
       element.scrollTop = scrollTop;
+      if (scrollLeft !== undefined) {
+        element.scrollLeft = scrollLeft;
+      }
 
       requestAnimationFrame(() => {
         requestAnimationFrame(() => {
@@ -522,6 +1584,63 @@ class Scroller {
     });
   }
 
+  /**
+   * 截图期间冻结 CSS 动画、过渡、光标闪烁、音视频和 Web Animations，
+   * 避免加载动画、轮播图等在相邻帧之间变化导致拼接错位
+   */
+  freezeAnimations() {
+    if (this.frozenState) return;
+
+    const styleEl = document.createElement('style');
+    styleEl.id = 'esc-freeze-animation-style';
+    styleEl.textContent = `
+      *, *::before, *::after {
+        animation-play-state: paused !important;
+        transition: none !important;
+        caret-color: transparent !important;
+      }
+    `;
+    (document.head || document.documentElement).appendChild(styleEl);
+
+    // 样式表无法作用于 shadow root 内部，正在运行的动画再通过 Web Animations API 逐个暂停
+    const animations = document.getAnimations()
+      .filter(animation => animation.playState === 'running');
+    animations.forEach(animation => animation.pause());
+
+    const media = Array.from(document.querySelectorAll('video, audio'))
+      .filter(element => !element.paused);
+    media.forEach(element => element.pause());
+
+    this.frozenState = { styleEl, animations, media };
+
+    console.log(`[ESC] Froze ${animations.length} animations and ${media.length} media elements`);
+  }
+
+  /**
+   * 恢复被冻结的动画和音视频
+   */
+  unfreezeAnimations() {
+    if (!this.frozenState) return;
+
+    const { styleEl, animations, media } = this.frozenState;
+    this.frozenState = null;
+
+    styleEl.remove();
+
+    for (const animation of animations) {
+      try {
+        animation.play();
+      } catch (e) {
+        console.warn('[ESC] Failed to resume animation:', e);
+      }
+    }
+
+    for (const element of media) {
+      // 浏览器的自动播放策略可能拒绝恢复播放
+      element.play().catch(() => {});
+    }
+  }
+
   showProgress(current, total, status = '正在截图...') {
     if (!this.progressIndicator) {
       this.progressIndicator = document.createElement('div');
@@ -578,6 +1697,30 @@ class Scroller {
     };
   }
 
+  /**
+   * 请求 background 截取当前可见区域（遇到频率限制时重试）
+   * @returns {Promise<string>} - 截图的 data URL
+   */
+  async requestFrame() {
+    let response;
+    let retries = this.settings.maxRetries;
+    while (retries > 0) {
+      response = await chrome.runtime.sendMessage({ type: 'CAPTURE_FRAME' });
+      if (response.success) break;
+      if (response.error && response.error.includes('quota')) {
+        console.log('[ESC] Rate limited, waiting...');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        retries--;
+      } else {
+        throw new Error(response.error || 'Failed to capture frame');
+      }
+    }
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to capture frame after retries');
+    }
+    return response.dataUrl;
+  }
+
   async captureFrames(element, onProgress) {
     const frameInfo = this.calculateFrames(element);
     const frames = [];
@@ -681,8 +1824,9 @@ class Scroller {
    * @param {Element} scrollContainer - 滚动容器（用于滚动）
    * @param {Element} cropTarget - 裁剪目标元素（用于确定裁剪区域）
    * @param {Function} onProgress - 进度回调
+   * @param {Function} onFirstFrame - 第一帧截取后调用（隐藏内部 sticky 元素）
    */
-  async captureWithScrollAndCrop(scrollContainer, cropTarget, onProgress) {
+  async captureWithScrollAndCrop(scrollContainer, cropTarget, onProgress, onFirstFrame) {
     const frames = [];
 
     // 计算目标元素在滚动容器中的位置和高度
@@ -690,15 +1834,20 @@ class Scroller {
     const targetHeight = cropTarget.scrollHeight || cropTarget.offsetHeight;
     const containerVisibleHeight = scrollContainer.clientHeight;
 
-    // 需要滚动的总距离（基于目标元素高度）
-    const scrollableForTarget = Math.max(0, targetHeight - containerVisibleHeight);
+    // 需要滚动的总距离（基于目标元素高度），懒加载模式下每帧后重新计算
+    const measureScrollable = () => Math.max(
+      0, (cropTarget.scrollHeight || cropTarget.offsetHeight) - containerVisibleHeight
+    );
+    let scrollableForTarget = measureScrollable();
 
     // 计算帧数（基于目标元素高度，不是整个滚动容器）
-    const overlapRatio = 0.2;
+    const { overlapRatio, lazyLoadMode } = this.settings;
     const effectiveHeight = containerVisibleHeight * (1 - overlapRatio);
-    const totalFrames = scrollableForTarget > 0
-      ? Math.ceil(scrollableForTarget / effectiveHeight) + 1
+    const estimateFrames = (scrollable) => scrollable > 0
+      ? Math.ceil(scrollable / effectiveHeight) + 1
       : 1;
+    let totalFrames = estimateFrames(scrollableForTarget);
+    const dpr = window.devicePixelRatio || 1;
 
     const initialScrollTop = scrollContainer.scrollTop;
 
@@ -715,9 +1864,10 @@ class Scroller {
       await this.scrollTo(scrollContainer, targetOffsetTop);
       console.log('[ESC] Scrolled to target element top');
 
-      for (let i = 0; i < totalFrames; i++) {
-        // 相对于目标元素顶部的滚动位置
-        const relativeScrollTop = i === 0 ? 0 : Math.min(i * effectiveHeight, scrollableForTarget);
+      // 相对于目标元素顶部的滚动位置
+      let relativeScrollTop = 0;
+
+      for (let i = 0; ; i++) {
         const absoluteScrollTop = targetOffsetTop + relativeScrollTop;
 
         await this.scrollTo(scrollContainer, absoluteScrollTop);
@@ -728,38 +1878,44 @@ class Scroller {
 
         this.hideProgress();
 
-        await new Promise(resolve => setTimeout(resolve, 350));
-
-        let response;
-        let retries = 3;
-        while (retries > 0) {
-          response = await chrome.runtime.sendMessage({ type: 'CAPTURE_FRAME' });
-          if (response.success) break;
-          if (response.error && response.error.includes('quota')) {
-            console.log('[ESC] Rate limited, waiting...');
-            await new Promise(resolve => setTimeout(resolve, 500));
-            retries--;
-          } else {
-            throw new Error(response.error || 'Failed to capture frame');
-          }
-        }
-        if (!response.success) {
-          throw new Error(response.error || 'Failed to capture frame after retries');
+        await new Promise(resolve => setTimeout(resolve, this.settings.settleDelay));
+
+        if (lazyLoadMode) {
+          await this.waitForImages(cropTarget);
         }
 
+        const dataUrl = await this.requestFrame();
+
         // 裁剪目标元素在当前视口中的可见部分
         const cropRegion = this.calculateCropRegion(cropTarget);
 
         frames.push({
-          dataUrl: response.dataUrl,
+          dataUrl,
           cropRegion,
-          scrollTop: relativeScrollTop,
+          // 记录实际滚动位置，拼接时据此计算重叠
+          scrollTop: scrollContainer.scrollTop - targetOffsetTop,
           frameIndex: i
         });
 
         console.log(`[ESC] Captured frame ${i + 1}/${totalFrames}`, cropRegion.raw);
 
         this.showProgress(i + 1, totalFrames);
+
+        if (lazyLoadMode) {
+          scrollableForTarget = await this.remeasureScrollExtent(measureScrollable, relativeScrollTop);
+          totalFrames = Math.max(i + 1, estimateFrames(scrollableForTarget));
+
+          const outputPixels = cropRegion.width * (relativeScrollTop * dpr + cropRegion.height);
+          if (this.reachedLazyLoadLimit(i + 1, outputPixels)) break;
+        }
+
+        if (relativeScrollTop >= scrollableForTarget) break;
+
+        if (i === 0 && onFirstFrame) {
+          onFirstFrame();
+        }
+
+        relativeScrollTop = Math.min(relativeScrollTop + effectiveHeight, scrollableForTarget);
       }
 
       // 恢复原始滚动位置
@@ -773,6 +1929,238 @@ class Scroller {
     return frames;
   }
 
+  /**
+   * 虚拟列表滚动截图（react-window、react-virtuoso 等复用 DOM 节点的列表）
+   * 这类列表的 scrollHeight 是估算值，实际滚动距离可能与请求的不同，
+   * 因此每次滚动后读回真实的 scrollTop 作为帧位置，容器不再移动时结束
+   * @param {Element} scrollContainer - 滚动容器
+   * @param {Element} cropTarget - 裁剪目标元素
+   * @param {Function} onProgress - 进度回调
+   * @param {Function} onFirstFrame - 第一帧截取后调用（隐藏内部 sticky 元素）
+   */
+  async captureVirtualizedList(scrollContainer, cropTarget, onProgress, onFirstFrame) {
+    const frames = [];
+
+    const targetOffsetTop = this.getElementOffsetInContainer(cropTarget, scrollContainer);
+    const containerVisibleHeight = scrollContainer.clientHeight;
+    const { overlapRatio, lazyLoadMode } = this.settings;
+    const effectiveHeight = containerVisibleHeight * (1 - overlapRatio);
+    const dpr = window.devicePixelRatio || 1;
+
+    // 帧数只能根据当前估算的高度预估，每帧后更新
+    const estimateFrames = () => {
+      const scrollable = Math.max(0, scrollContainer.scrollHeight - containerVisibleHeight - targetOffsetTop);
+      return scrollable > 0 ? Math.ceil(scrollable / effectiveHeight) + 1 : 1;
+    };
+
+    const initialScrollTop = scrollContainer.scrollTop;
+    const scrollbarState = this.hideScrollbars(scrollContainer);
+    // 平滑滚动会让读回的 scrollTop 停在动画中途
+    scrollContainer.style.scrollBehavior = 'auto';
+
+    try {
+      await this.scrollTo(scrollContainer, targetOffsetTop);
+
+      const startScrollTop = scrollContainer.scrollTop;
+      let position = startScrollTop;
+      let totalFrames = estimateFrames();
+
+      console.log('[ESC] Virtualized list capture, estimated frames:', totalFrames);
+
+      for (let i = 0; ; i++) {
+        if (onProgress) {
+          onProgress(i + 1, totalFrames);
+        }
+
+        this.hideProgress();
+
+        await new Promise(resolve => setTimeout(resolve, this.settings.settleDelay));
+
+        if (lazyLoadMode) {
+          await this.waitForImages(cropTarget);
+        }
+
+        const dataUrl = await this.requestFrame();
+        const cropRegion = this.calculateCropRegion(cropTarget);
+
+        frames.push({
+          dataUrl,
+          cropRegion,
+          scrollTop: position - startScrollTop,
+          frameIndex: i
+        });
+
+        console.log(`[ESC] Captured virtualized frame ${i + 1}, scrollTop: ${position}`, cropRegion.raw);
+
+        totalFrames = Math.max(i + 2, estimateFrames());
+        this.showProgress(i + 1, totalFrames);
+
+        const outputPixels = cropRegion.width * ((position - startScrollTop) * dpr + cropRegion.height);
+        if (this.reachedLazyLoadLimit(i + 1, outputPixels)) break;
+
+        // 目标元素底部已进入容器可见区域
+        if (cropTarget !== scrollContainer &&
+            cropTarget.getBoundingClientRect().bottom <= scrollContainer.getBoundingClientRect().bottom + 1) {
+          break;
+        }
+
+        await this.scrollTo(scrollContainer, position + effectiveHeight);
+
+        const nextPosition = scrollContainer.scrollTop;
+        if (nextPosition - position < 1) {
+          console.log('[ESC] Scroll container stopped moving, capture complete');
+          break;
+        }
+
+        if (i === 0 && onFirstFrame) {
+          onFirstFrame();
+        }
+
+        position = nextPosition;
+      }
+
+      await this.scrollTo(scrollContainer, initialScrollTop);
+
+    } finally {
+      scrollbarState.restore();
+      this.hideProgress();
+    }
+
+    return frames;
+  }
+
+  /**
+   * 等待当前视口内的图片加载并解码完成（懒加载模式），最多等待 timeout 毫秒
+   * @param {Element|Document} root - 查找图片的范围
+   * @param {number} timeout - 最长等待时间
+   */
+  async waitForImages(root, timeout = 3000) {
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+
+    const images = Array.from(root.querySelectorAll('img')).filter(img => {
+      const rect = img.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 &&
+             rect.bottom > 0 && rect.top < viewportHeight &&
+             rect.right > 0 && rect.left < viewportWidth;
+    });
+
+    if (images.length === 0) return;
+
+    // decode() 在图片加载完成并解码后才会 resolve，加载失败的图片会 reject，忽略即可
+    await Promise.race([
+      Promise.allSettled(images.map(img => img.decode())),
+      new Promise(resolve => setTimeout(resolve, timeout))
+    ]);
+  }
+
+  /**
+   * 懒加载模式下重新计算可滚动距离
+   * 已滚动到底部时多等待一段时间，给无限滚动加载新内容的机会
+   * @param {Function} measure - 返回当前可滚动距离
+   * @param {number} position - 当前滚动位置
+   * @returns {Promise<number>} - 最新的可滚动距离
+   */
+  async remeasureScrollExtent(measure, position) {
+    let scrollable = measure();
+
+    if (position >= scrollable) {
+      await new Promise(resolve => setTimeout(resolve, Math.max(1000, this.settings.settleDelay)));
+      scrollable = measure();
+      if (scrollable > position) {
+        console.log('[ESC] Content grew after reaching the bottom, continuing:', scrollable);
+      }
+    }
+
+    return scrollable;
+  }
+
+  /**
+   * 检查懒加载 / 虚拟列表模式的帧数和像素上限
+   * @param {number} frameCount - 已截取的帧数
+   * @param {number} outputPixels - 预计输出像素数
+   * @returns {boolean} - 是否已达到上限
+   */
+  reachedLazyLoadLimit(frameCount, outputPixels) {
+    const { lazyLoadMaxFrames, lazyLoadMaxMegapixels } = this.settings;
+
+    if (frameCount >= lazyLoadMaxFrames || outputPixels >= lazyLoadMaxMegapixels * 1000000) {
+      console.warn('[ESC] Lazy-load capture limit reached:', frameCount, 'frames,',
+        Math.round(outputPixels / 1000000), 'MP');
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 二维网格截图：同时遍历 scrollTop 和 scrollLeft
+   * 用于横向溢出的宽表格、甘特图、代码块等
+   * @param {Element} element - 滚动容器（同时也是裁剪目标）
+   * @param {Function} onProgress - 进度回调
+   */
+  async captureWithScrollGrid(element, onProgress) {
+    const frameInfo = this.calculateFrames(element);
+    const { totalRows, totalColumns } = frameInfo;
+    const totalFrames = totalRows * totalColumns;
+    const frames = [];
+
+    console.log('[ESC] Grid capture:', totalRows, 'rows ×', totalColumns, 'columns');
+
+    const scrollbarState = this.hideScrollbars(element);
+
+    try {
+      await this.scrollTo(element, 0, 0);
+
+      for (let row = 0; row < totalRows; row++) {
+        const scrollTop = row === 0 ? 0 :
+          Math.min(row * frameInfo.frameHeight, frameInfo.scrollableHeight);
+
+        for (let column = 0; column < totalColumns; column++) {
+          const scrollLeft = column === 0 ? 0 :
+            Math.min(column * frameInfo.frameWidth, frameInfo.scrollableWidth);
+          const frameIndex = row * totalColumns + column;
+
+          await this.scrollTo(element, scrollTop, scrollLeft);
+
+          if (onProgress) {
+            onProgress(frameIndex + 1, totalFrames);
+          }
+
+          this.hideProgress();
+
+          await new Promise(resolve => setTimeout(resolve, this.settings.settleDelay));
+
+          const dataUrl = await this.requestFrame();
+          const cropRegion = this.calculateCropRegion(element);
+
+          // 记录实际滚动位置，拼接时据此计算重叠
+          frames.push({
+            dataUrl,
+            cropRegion,
+            scrollTop: element.scrollTop,
+            scrollLeft: element.scrollLeft,
+            row,
+            column,
+            frameIndex
+          });
+
+          console.log(`[ESC] Captured tile ${row},${column} (${frameIndex + 1}/${totalFrames})`, cropRegion.raw);
+
+          this.showProgress(frameIndex + 1, totalFrames);
+        }
+      }
+
+      await this.scrollTo(element, frameInfo.initialScrollTop, frameInfo.initialScrollLeft);
+
+    } finally {
+      scrollbarState.restore();
+      this.hideProgress();
+    }
+
+    return frames;
+  }
+
   /**
    * 计算裁剪区域（使用目标元素的宽度，滚动容器的高度）
    */
@@ -810,68 +2198,155 @@ class Scroller {
     const frameInfo = this.calculateFrames(scrollContainer);
     const frames = [];
 
-    console.log('[ESC] Frame calculation:', frameInfo);
-
-    const scrollbarState = this.hideScrollbars(scrollContainer);
+    console.log('[ESC] Frame calculation:', frameInfo);
+
+    const scrollbarState = this.hideScrollbars(scrollContainer);
+
+    try {
+      // 记录目标元素相对于滚动容器的位置
+      const containerRect = scrollContainer.getBoundingClientRect();
+
+      await this.scrollTo(scrollContainer, 0);
+
+      for (let i = 0; i < frameInfo.totalFrames; i++) {
+        const scrollTop = i === 0 ? 0 :
+          Math.min(i * frameInfo.frameHeight, frameInfo.scrollableHeight);
+
+        await this.scrollTo(scrollContainer, scrollTop);
+
+        if (onProgress) {
+          onProgress(i + 1, frameInfo.totalFrames);
+        }
+
+        this.hideProgress();
+
+        // 等待渲染稳定，避免触发 Chrome 的 API 频率限制
+        await new Promise(resolve => setTimeout(resolve, this.settings.settleDelay));
+
+        // 带重试的截图
+        const dataUrl = await this.requestFrame();
+
+        // 计算滚动容器在视口中的裁剪区域
+        const cropRegion = this.calculateCropRegion(scrollContainer);
+
+        frames.push({
+          dataUrl,
+          cropRegion,
+          scrollTop,
+          frameIndex: i
+        });
+
+        console.log(`[ESC] Captured frame ${i + 1}/${frameInfo.totalFrames}`, cropRegion.raw);
+
+        this.showProgress(i + 1, frameInfo.totalFrames);
+      }
+
+      await this.scrollTo(scrollContainer, frameInfo.initialScrollTop);
+
+    } finally {
+      scrollbarState.restore();
+      this.hideProgress();
+    }
+
+    return frames;
+  }
+
+  /**
+   * 计算整页模式下的裁剪区域（整个视口，不含滚动条）
+   */
+  calculateViewportCropRegion() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = document.documentElement.clientWidth;
+    const height = document.documentElement.clientHeight;
+
+    return {
+      x: 0,
+      y: 0,
+      width: width * dpr,
+      height: height * dpr,
+      dpr,
+      raw: { left: 0, top: 0, width, height }
+    };
+  }
+
+  /**
+   * 整页截图：滚动窗口而不是元素
+   * 第一帧保留页面原貌，之后的帧隐藏 fixed/sticky 元素（导航栏、Cookie 横幅等），避免重复出现
+   * @param {Isolator} isolator - 隔离器实例
+   * @param {Function} onProgress - 进度回调
+   */
+  async captureFullPageFrames(isolator, onProgress) {
+    const scrollingElement = document.scrollingElement || document.documentElement;
+    const frames = [];
+
+    const scrollbarState = this.hideScrollbars(document.documentElement);
 
     try {
-      // 记录目标元素相对于滚动容器的位置
-      const containerRect = scrollContainer.getBoundingClientRect();
+      const viewportHeight = document.documentElement.clientHeight;
+      const measureScrollable = () => Math.max(0, scrollingElement.scrollHeight - viewportHeight);
+      let scrollableHeight = measureScrollable();
 
-      await this.scrollTo(scrollContainer, 0);
+      const { overlapRatio, lazyLoadMode } = this.settings;
+      const effectiveHeight = viewportHeight * (1 - overlapRatio);
+      const estimateFrames = (scrollable) => scrollable > 0
+        ? Math.ceil(scrollable / effectiveHeight) + 1
+        : 1;
+      let totalFrames = estimateFrames(scrollableHeight);
+      const initialScrollTop = scrollingElement.scrollTop;
+      const dpr = window.devicePixelRatio || 1;
 
-      for (let i = 0; i < frameInfo.totalFrames; i++) {
-        const scrollTop = i === 0 ? 0 :
-          Math.min(i * frameInfo.frameHeight, frameInfo.scrollableHeight);
+      console.log('[ESC] Full page capture, frames:', totalFrames);
 
-        await this.scrollTo(scrollContainer, scrollTop);
+      let scrollTop = 0;
+
+      for (let i = 0; ; i++) {
+        await this.scrollTo(scrollingElement, scrollTop);
 
         if (onProgress) {
-          onProgress(i + 1, frameInfo.totalFrames);
+          onProgress(i + 1, totalFrames);
         }
 
         this.hideProgress();
 
-        // 等待渲染稳定，避免触发 Chrome 的 API 频率限制
-        await new Promise(resolve => setTimeout(resolve, 350));
-
-        // 带重试的截图
-        let response;
-        let retries = 3;
-        while (retries > 0) {
-          response = await chrome.runtime.sendMessage({ type: 'CAPTURE_FRAME' });
-          if (response.success) {
-            break;
-          }
-          if (response.error && response.error.includes('quota')) {
-            console.log('[ESC] Rate limited, waiting...');
-            await new Promise(resolve => setTimeout(resolve, 500));
-            retries--;
-          } else {
-            throw new Error(response.error || 'Failed to capture frame');
-          }
-        }
+        await new Promise(resolve => setTimeout(resolve, this.settings.settleDelay));
 
-        if (!response.success) {
-          throw new Error(response.error || 'Failed to capture frame after retries');
+        if (lazyLoadMode) {
+          await this.waitForImages(document);
         }
 
-        // 计算滚动容器在视口中的裁剪区域
-        const cropRegion = this.calculateCropRegion(scrollContainer);
+        const dataUrl = await this.requestFrame();
+        const cropRegion = this.calculateViewportCropRegion();
 
         frames.push({
-          dataUrl: response.dataUrl,
+          dataUrl,
           cropRegion,
-          scrollTop,
+          scrollTop: scrollingElement.scrollTop,
           frameIndex: i
         });
 
-        console.log(`[ESC] Captured frame ${i + 1}/${frameInfo.totalFrames}`, cropRegion.raw);
+        console.log(`[ESC] Captured page frame ${i + 1}/${totalFrames}`, cropRegion.raw);
 
-        this.showProgress(i + 1, frameInfo.totalFrames);
+        if (lazyLoadMode) {
+          scrollableHeight = await this.remeasureScrollExtent(measureScrollable, scrollTop);
+          totalFrames = Math.max(i + 1, estimateFrames(scrollableHeight));
+
+          const outputPixels = cropRegion.width * (scrollTop * dpr + cropRegion.height);
+          if (this.reachedLazyLoadLimit(i + 1, outputPixels)) break;
+        }
+
+        if (scrollTop >= scrollableHeight) break;
+
+        // 第一帧之后隐藏悬浮元素
+        if (i === 0 && this.settings.isolation) {
+          isolator.isolate(document.documentElement);
+        }
+
+        this.showProgress(i + 1, totalFrames);
+
+        scrollTop = Math.min(scrollTop + effectiveHeight, scrollableHeight);
       }
 
-      await this.scrollTo(scrollContainer, frameInfo.initialScrollTop);
+      await this.scrollTo(scrollingElement, initialScrollTop);
 
     } finally {
       scrollbarState.restore();
@@ -882,109 +2357,252 @@ class Scroller {
   }
 
   /**
-   * 检查元素是否可滚动
+   * 执行整页截图流程
+   * @param {Isolator} isolator - 隔离器实例
+   * @param {Function} onProgress - 进度回调
+   * @param {Object} outputOptions - 导出选项 { format, quality }
    */
-  isScrollable(element) {
-    if (!element || element === document.body || element === document.documentElement) {
-      return false;
+  async captureFullPage(isolator, onProgress, outputOptions = {}) {
+    try {
+      isolator.applyMaskRules(document.documentElement, outputOptions.maskRules);
+
+      if (outputOptions.redactPII) {
+        this.redactor.redact(document.body);
+      }
+
+      if (this.settings.freezeAnimations) {
+        this.freezeAnimations();
+      }
+
+      const frames = await this.captureFullPageFrames(isolator, onProgress);
+
+      isolator.restore();
+      this.redactor.restore();
+      this.unfreezeAnimations();
+
+      await this.stitchAndDownload(frames, {
+        ...outputOptions,
+        detectDuplicates: true,
+        layout: 'vertical',
+        maxOverlapHeight: Math.round(document.documentElement.clientHeight * this.settings.maxOverlapRatio)
+      });
+
+    } catch (error) {
+      isolator.forceRestore();
+      this.redactor.forceRestore();
+      this.unfreezeAnimations();
+      this.hideProgress();
+      throw error;
     }
-    const style = getComputedStyle(element);
-    const overflowY = style.overflowY;
-    const overflow = style.overflow;
+  }
 
-    // 检查是否有滚动相关的 overflow 设置
-    const hasOverflow = overflowY === 'auto' || overflowY === 'scroll' ||
-                        overflow === 'auto' || overflow === 'scroll';
+  /**
+   * 发送帧数据到 background 进行拼接和下载
+   * @param {Array} frames - 帧数据数组
+   * @param {Object} options - 拼接选项
+   */
+  async stitchAndDownload(frames, options) {
+    this.showProgress(frames.length, frames.length, '正在拼接...');
+
+    console.log('[ESC] Sending STITCH_AND_DOWNLOAD with', frames.length, 'frames');
+    chrome.runtime.sendMessage({ type: 'STITCHING' });
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'STITCH_AND_DOWNLOAD',
+      frames,
+      options
+    });
+    console.log('[ESC] STITCH_AND_DOWNLOAD response:', response);
 
-    // 检查是否实际可以滚动
-    const canScroll = element.scrollHeight > element.clientHeight + 1; // +1 容差
+    this.hideProgress();
+  }
 
-    console.log('[ESC] isScrollable check:', element.tagName,
-      'overflow:', overflow, 'overflowY:', overflowY,
-      'scrollHeight:', element.scrollHeight, 'clientHeight:', element.clientHeight,
-      'result:', hasOverflow && canScroll);
+  /**
+   * 检查元素是否可滚动
+   */
+  isScrollable(element) {
+    return isScrollableElement(element);
+  }
 
-    return hasOverflow && canScroll;
+  /**
+   * 检查元素是否存在可横向滚动的溢出内容
+   */
+  isHorizontallyScrollable(element) {
+    const overflowX = getComputedStyle(element).overflowX;
+    const hasOverflowX = overflowX === 'auto' || overflowX === 'scroll';
+    return hasOverflowX && element.scrollWidth > element.clientWidth + 1;
   }
 
   /**
    * 查找最近的滚动容器
    */
   findScrollableParent(element) {
-    let current = element.parentElement;
+    let current = getComposedParent(element);
     while (current && current !== document.body) {
       if (this.isScrollable(current)) {
         return current;
       }
-      current = current.parentElement;
+      current = getComposedParent(current);
     }
     return null;
   }
 
-  async capture(element, isolator, onProgress) {
-    try {
-      console.log('[ESC] Target element:', element.tagName, element.className);
+  /**
+   * 截取单个元素的所有帧（隔离、遮盖、滚动截图并恢复页面），不做拼接
+   * @param {Element} element - 目标元素
+   * @param {Isolator} isolator - 隔离器实例
+   * @param {Function} onProgress - 进度回调
+   * @param {Object} outputOptions - 导出选项 { maskRules, redactPII }
+   * @returns {Promise<{ frames: Array, stitchOptions: Object }>} - 帧数据和拼接选项
+   */
+  async captureElementFrames(element, isolator, onProgress, outputOptions = {}) {
+    console.log('[ESC] Target element:', element.tagName, element.className);
 
-      // 确定滚动容器和裁剪目标
-      let scrollContainer = element;
-      let cropTarget = element;
+    // 确定滚动容器和裁剪目标
+    let scrollContainer = element;
+    let cropTarget = element;
 
-      if (this.isScrollable(element)) {
-        console.log('[ESC] Element is scrollable, using it directly');
-        scrollContainer = element;
+    if (this.isScrollable(element)) {
+      console.log('[ESC] Element is scrollable, using it directly');
+      scrollContainer = element;
+      cropTarget = element;
+    } else {
+      // 查找父级滚动容器
+      const scrollableParent = this.findScrollableParent(element);
+      if (scrollableParent) {
+        console.log('[ESC] Found scrollable parent:', scrollableParent.tagName, scrollableParent.className);
+        scrollContainer = scrollableParent;
+        // 裁剪区域仍然使用选中的元素（限制宽度）
         cropTarget = element;
       } else {
-        // 查找父级滚动容器
-        const scrollableParent = this.findScrollableParent(element);
-        if (scrollableParent) {
-          console.log('[ESC] Found scrollable parent:', scrollableParent.tagName, scrollableParent.className);
-          scrollContainer = scrollableParent;
-          // 裁剪区域仍然使用选中的元素（限制宽度）
-          cropTarget = element;
-        } else {
-          console.log('[ESC] No scrollable parent found, capturing single frame');
-        }
+        console.log('[ESC] No scrollable parent found, capturing single frame');
       }
+    }
 
+    if (this.settings.freezeAnimations) {
+      this.freezeAnimations();
+    }
+
+    if (this.settings.isolation) {
       const isolatedCount = isolator.isolate(cropTarget);
       console.log(`[ESC] Isolated ${isolatedCount} elements`);
+    }
+
+    isolator.applyMaskRules(cropTarget, outputOptions.maskRules);
 
-      await new Promise(resolve => setTimeout(resolve, 100));
+    // 目标内部的 sticky 表头等：改为普通定位，或只在第一帧中显示
+    const { internalSticky } = this.settings;
+    if (internalSticky === 'static') {
+      isolator.handleInternalSticky(cropTarget, 'static');
+    }
+    const onFirstFrame = internalSticky === 'first-frame'
+      ? () => isolator.handleInternalSticky(cropTarget, 'first-frame')
+      : undefined;
+
+    if (outputOptions.redactPII) {
+      this.redactor.redact(cropTarget);
+    }
 
-      let frames;
-      const scrollInfo = this.calculateFrames(scrollContainer);
+    await new Promise(resolve => setTimeout(resolve, 100));
 
-      if (scrollInfo.scrollableHeight > 0) {
-        // 有可滚动内容，执行滚动截图
-        console.log('[ESC] Performing scroll capture, frames:', scrollInfo.totalFrames);
-        frames = await this.captureWithScrollAndCrop(scrollContainer, cropTarget, onProgress);
-      } else {
-        // 没有可滚动内容，只截取单帧
-        console.log('[ESC] No scrollable content, capturing single frame');
-        frames = await this.captureSingleFrame(cropTarget);
+    this.frameOffset = await this.frameLocator.getOffset();
+    if (window !== window.top) {
+      console.log('[ESC] Capturing inside iframe, offset:', this.frameOffset);
+    }
+
+    let frames;
+    let layout = 'vertical';
+    const scrollInfo = this.calculateFrames(scrollContainer);
+
+    if (scrollContainer === cropTarget && this.isHorizontallyScrollable(scrollContainer)) {
+      // 存在横向溢出，按网格遍历 scrollLeft / scrollTop
+      console.log('[ESC] Performing grid capture, tiles:',
+        scrollInfo.totalRows * scrollInfo.totalColumns);
+      layout = 'grid';
+      frames = await this.captureWithScrollGrid(scrollContainer, onProgress);
+    } else if (scrollInfo.scrollableHeight > 0 && this.settings.virtualizedMode) {
+      // 虚拟列表：按实际滚动距离截图
+      console.log('[ESC] Performing virtualized list capture');
+      frames = await this.captureVirtualizedList(scrollContainer, cropTarget, onProgress, onFirstFrame);
+    } else if (scrollInfo.scrollableHeight > 0) {
+      // 有可滚动内容，执行滚动截图
+      console.log('[ESC] Performing scroll capture, frames:', scrollInfo.totalFrames);
+      frames = await this.captureWithScrollAndCrop(scrollContainer, cropTarget, onProgress, onFirstFrame);
+    } else {
+      // 没有可滚动内容，只截取单帧
+      console.log('[ESC] No scrollable content, capturing single frame');
+      frames = await this.captureSingleFrame(cropTarget);
+    }
+
+    isolator.restore();
+    this.redactor.restore();
+    this.unfreezeAnimations();
+
+    return {
+      frames,
+      stitchOptions: {
+        detectDuplicates: true,
+        layout,
+        maxOverlapHeight: Math.round(element.clientHeight * this.settings.maxOverlapRatio),
+        maxOverlapWidth: Math.round(element.clientWidth * this.settings.maxOverlapRatio)
       }
+    };
+  }
 
-      isolator.restore();
+  /**
+   * @param {Element} element - 目标元素
+   * @param {Isolator} isolator - 隔离器实例
+   * @param {Function} onProgress - 进度回调
+   * @param {Object} outputOptions - 导出选项 { format, quality }
+   */
+  async capture(element, isolator, onProgress, outputOptions = {}) {
+    try {
+      const { frames, stitchOptions } =
+        await this.captureElementFrames(element, isolator, onProgress, outputOptions);
+
+      await this.stitchAndDownload(frames, { ...outputOptions, ...stitchOptions });
+
+    } catch (error) {
+      isolator.forceRestore();
+      this.redactor.forceRestore();
+      this.unfreezeAnimations();
+      this.hideProgress();
+      throw error;
+    }
+  }
+
+  /**
+   * 依次截取多个元素，并在 background 中按设置的布局拼合为一张图片
+   * @param {Element[]} elements - 目标元素（按拼合顺序）
+   * @param {Isolator} isolator - 隔离器实例
+   * @param {Function} onProgress - 进度回调
+   * @param {Object} outputOptions - 导出选项
+   */
+  async captureMultiple(elements, isolator, onProgress, outputOptions = {}) {
+    try {
+      const parts = [];
 
-      this.showProgress(frames.length, frames.length, '正在拼接...');
+      for (const [index, element] of elements.entries()) {
+        console.log(`[ESC] Capturing element ${index + 1}/${elements.length}`);
+        parts.push(await this.captureElementFrames(element, isolator, onProgress, outputOptions));
+      }
 
-      console.log('[ESC] Sending STITCH_AND_DOWNLOAD with', frames.length, 'frames');
+      this.showProgress(elements.length, elements.length, '正在拼合...');
       chrome.runtime.sendMessage({ type: 'STITCHING' });
 
       const response = await chrome.runtime.sendMessage({
-        type: 'STITCH_AND_DOWNLOAD',
-        frames: frames,
-        options: {
-          detectDuplicates: true,
-          maxOverlapHeight: Math.round(element.clientHeight * 0.3)
-        }
+        type: 'COMPOSE_AND_DOWNLOAD',
+        parts,
+        options: outputOptions
       });
-      console.log('[ESC] STITCH_AND_DOWNLOAD response:', response);
+      console.log('[ESC] COMPOSE_AND_DOWNLOAD response:', response);
 
       this.hideProgress();
 
     } catch (error) {
       isolator.forceRestore();
+      this.redactor.forceRestore();
+      this.unfreezeAnimations();
       this.hideProgress();
       throw error;
     }
@@ -994,15 +2612,20 @@ class Scroller {
 // ============ 主控制器 ============
 class ElementScreenCapture {
   constructor() {
-    this.inspector = new Inspector();
-    this.isolator = new Isolator();
     this.scroller = new Scroller();
+    this.inspector = new Inspector(this.scroller);
+    this.isolator = new Isolator();
     this.isCapturing = false;
   }
 
-  startInspector() {
+  async startInspector() {
+    // 预估帧数时使用选项页中的重叠比例
+    this.scroller.settings = await loadCaptureSettings();
+
     this.inspector.start(
-      (element) => this.handleElementSelected(element),
+      (elements) => elements.length > 1
+        ? this.handleElementsSelected(elements)
+        : this.handleElementSelected(elements[0]),
       () => this.handleInspectorCancelled()
     );
   }
@@ -1014,19 +2637,196 @@ class ElementScreenCapture {
   async handleElementSelected(element) {
     if (this.isCapturing) return;
 
-    this.isCapturing = true;
-
     // 通知 popup
     chrome.runtime.sendMessage({ type: 'ELEMENT_SELECTED' });
 
+    await this.saveLastSelector(element);
+
+    await this.runCapture((onProgress, outputOptions) =>
+      this.scroller.capture(element, this.isolator, onProgress, {
+        ...outputOptions,
+        source: this.getCaptureSource(element)
+      })
+    );
+  }
+
+  /**
+   * 多选时依次截取每个元素并拼合为一张图片
+   */
+  async handleElementsSelected(elements) {
+    if (this.isCapturing) return;
+
+    chrome.runtime.sendMessage({ type: 'ELEMENT_SELECTED' });
+
+    await this.runCapture((onProgress, outputOptions) =>
+      this.scroller.captureMultiple(elements, this.isolator, onProgress, {
+        ...outputOptions,
+        source: {
+          ...this.getCaptureSource(null),
+          selector: elements.map(element => this.inspector.getSelector(element)).join(', ')
+        }
+      })
+    );
+  }
+
+  /**
+   * 记住本网站上次选择的元素，供快捷键重新截图
+   * 保存选择器链，shadow DOM 中的元素也能重新找到
+   */
+  async saveLastSelector(element) {
+    const { lastSelectors = {} } = await chrome.storage.local.get('lastSelectors');
+    lastSelectors[location.host] = this.inspector.getSelectorPath(element);
+    await chrome.storage.local.set({ lastSelectors });
+  }
+
+  /**
+   * 重新截取本网站上次选择的元素
+   */
+  async recaptureLast() {
+    if (this.isCapturing) return;
+
+    const { lastSelectors = {} } = await chrome.storage.local.get('lastSelectors');
+    const selector = lastSelectors[location.host];
+    // 旧版本保存的是单个选择器字符串
+    const element = selector
+      ? this.inspector.querySelectorPath(Array.isArray(selector) ? selector : [selector])
+      : null;
+
+    if (!element) {
+      this.showNotice(selector
+        ? '未找到上次选择的元素，请重新选择'
+        : '本网站还没有截取过元素');
+      return;
+    }
+
+    this.inspector.stop();
+    await this.handleElementSelected(element);
+  }
+
+  /**
+   * 截取右键点击位置所在的滚动容器，跳过悬停选择步骤
+   * 查找逻辑与按住 Alt 时的 Inspector.findScrollableParent 相同，
+   * 没有可滚动的父级容器时截取整个页面
+   */
+  async captureContextTarget() {
+    if (this.isCapturing) return;
+
+    const target = window.escContextTarget;
+    if (!target || !target.isConnected) {
+      this.showNotice('无法确定右键位置，请刷新页面后重试');
+      return;
+    }
+
+    const scrollableParent = this.inspector.findScrollableParent(target);
+    if (scrollableParent) {
+      this.inspector.stop();
+      await this.handleElementSelected(scrollableParent);
+    } else {
+      await this.captureFullPage();
+    }
+  }
+
+  /**
+   * 在页面底部短暂显示提示（快捷键触发时 popup 未打开）
+   */
+  showNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'esc-tooltip';
+    notice.textContent = text;
+    document.body.appendChild(notice);
+
+    setTimeout(() => notice.remove(), 3000);
+  }
+
+  /**
+   * 将图片写入剪贴板（点击选择元素后本页面处于焦点）
+   * @param {string} dataUrl - PNG 图片的 data URL
+   */
+  async copyImage(dataUrl) {
+    // 直接解码，页面的 CSP 可能禁止 fetch data URL
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    const blob = new Blob([bytes], { type: 'image/png' });
+
+    await navigator.clipboard.write([
+      new ClipboardItem({ 'image/png': blob })
+    ]);
+  }
+
+  /**
+   * 整页截图
+   */
+  async captureFullPage() {
+    if (this.isCapturing) return;
+
+    this.inspector.stop();
+
+    await this.runCapture((onProgress, outputOptions) =>
+      this.scroller.captureFullPage(this.isolator, onProgress, {
+        ...outputOptions,
+        source: this.getCaptureSource(null)
+      })
+    );
+  }
+
+  /**
+   * 截图来源信息（保存到历史记录）
+   * @param {Element|null} element - 目标元素，整页截图时为 null
+   */
+  getCaptureSource(element) {
+    return {
+      url: location.href,
+      title: document.title,
+      selector: element ? this.inspector.getSelector(element) : ''
+    };
+  }
+
+  /**
+   * 读取 popup 中保存的导出设置和选项页中的遮盖规则
+   * popup 中未选择的格式和截图后操作使用选项页中的默认值
+   * @param {Object} captureSettings - 截图参数设置
+   */
+  async loadOutputOptions(captureSettings) {
+    const { outputSettings } = await chrome.storage.local.get('outputSettings');
+    const { maskRules } = await chrome.storage.sync.get('maskRules');
+    return {
+      format: captureSettings.defaultFormat,
+      destination: captureSettings.defaultDestination,
+      ...outputSettings,
+      filenameTemplate: captureSettings.filenameTemplate,
+      saveAs: captureSettings.saveAs,
+      composeLayout: captureSettings.composeLayout,
+      composeGap: captureSettings.composeGap,
+      composeBackground: captureSettings.composeBackground,
+      maskRules: maskRules || []
+    };
+  }
+
+  /**
+   * 执行截图任务，统一处理进度通知和错误
+   * @param {Function} task - 接收进度回调和导出选项并返回 Promise 的截图任务
+   */
+  async runCapture(task) {
+    if (this.isCapturing) return;
+
+    this.isCapturing = true;
+
     try {
-      await this.scroller.capture(element, this.isolator, (current, total) => {
+      const captureSettings = await loadCaptureSettings();
+      this.scroller.settings = captureSettings;
+
+      const outputOptions = await this.loadOutputOptions(captureSettings);
+
+      await task((current, total) => {
         chrome.runtime.sendMessage({
           type: 'CAPTURE_PROGRESS',
           current,
           total
         });
-      });
+      }, outputOptions);
     } catch (error) {
       console.error('[ESC] Capture failed:', error);
       chrome.runtime.sendMessage({
@@ -1092,6 +2892,81 @@ function injectStyles() {
       margin-left: 8px;
     }
 
+    .esc-size-label .frame-info {
+      color: #91d5ff;
+      margin-left: 8px;
+    }
+
+    .esc-breadcrumb {
+      position: fixed;
+      top: 12px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      display: flex;
+      gap: 4px;
+      max-width: 90vw;
+      overflow-x: auto;
+      padding: 6px;
+      background: rgba(0, 0, 0, 0.85);
+      border-radius: 8px;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, monospace;
+      font-size: 11px;
+      scrollbar-width: none;
+    }
+
+    .esc-breadcrumb-chip {
+      flex-shrink: 0;
+      max-width: 220px;
+      padding: 3px 8px;
+      border-radius: 4px;
+      background: rgba(255, 255, 255, 0.12);
+      color: #fff;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      cursor: pointer;
+    }
+
+    .esc-breadcrumb-chip:hover {
+      background: rgba(255, 255, 255, 0.25);
+    }
+
+    .esc-breadcrumb-chip.scrollable {
+      background: #52c41a;
+    }
+
+    .esc-breadcrumb-chip.active {
+      box-shadow: inset 0 0 0 2px #4a90d9;
+    }
+
+    .esc-selection-marker {
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483645;
+      border: 2px dashed #fa8c16;
+      background: rgba(250, 140, 22, 0.08);
+      box-sizing: border-box;
+    }
+
+    .esc-selection-marker::before {
+      content: attr(data-index);
+      position: absolute;
+      top: -10px;
+      left: -10px;
+      width: 20px;
+      height: 20px;
+      line-height: 20px;
+      border-radius: 50%;
+      background: #fa8c16;
+      color: #fff;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 11px;
+      font-weight: 600;
+      text-align: center;
+    }
+
     .esc-tooltip {
       position: fixed;
       bottom: 20px;
@@ -1175,6 +3050,10 @@ function injectStyles() {
     [data-esc-isolated="true"] {
       visibility: hidden !important;
     }
+
+    [data-esc-masked] {
+      transition: none !important;
+    }
   `;
   document.head.appendChild(style);
 }
@@ -1197,9 +3076,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       esc.cancelInspector();
       sendResponse({ success: true });
       break;
+
+    case 'CAPTURE_PAGE':
+      esc.captureFullPage();
+      sendResponse({ success: true });
+      break;
+
+    case 'RECAPTURE_LAST':
+      esc.recaptureLast();
+      sendResponse({ success: true });
+      break;
+
+    case 'CAPTURE_CONTEXT_TARGET':
+      esc.captureContextTarget();
+      sendResponse({ success: true });
+      break;
+
+    case 'WRITE_CLIPBOARD':
+      // background 无法写入剪贴板，由发起截图的页面写入
+      esc.copyImage(message.dataUrl)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // 异步响应
+
+    case 'CAPTURE_COMPLETE':
+      // 页面写入剪贴板失败时 background 改为下载，在页面中提示
+      if (message.clipboardFallback && window === window.top) {
+        esc.showNotice('无法写入剪贴板，已保存到下载目录');
+      } else if (message.gaps > 0 && window === window.top) {
+        // 页面实际滚动距离超过可见高度，部分内容没有被截取
+        esc.showNotice(`截图有 ${message.gaps} 处接缝缺少内容，可增大帧重叠比例后重试`);
+      }
+      break;
   }
 
   return true;
 });
 
+// 标记已注入，background / popup 据此只向尚未注入的 frame 注入
+window.escContentLoaded = true;
+
 console.log('[ESC] Element Screen Capture content script loaded');
@@ -0,0 +1,13 @@
+/**
+ * 右键目标记录
+ * 在所有页面中常驻的轻量脚本，只记录最近一次右键点击的元素，
+ * 供右键菜单「截取此滚动区域」定位滚动容器。
+ * 与 content.js 运行在同一个隔离环境中，通过 window.escContextTarget 共享。
+ */
+
+window.escContextTarget = null;
+
+document.addEventListener('contextmenu', (event) => {
+  // composedPath 的第一项是 open shadow root 内部的实际目标，event.target 只是宿主
+  window.escContextTarget = event.composedPath()[0] || event.target;
+}, true);
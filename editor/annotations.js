@@ -0,0 +1,342 @@
+/**
+ * 标注图层 (AnnotationLayer)
+ * 以矢量对象保存箭头、矩形、荧光笔、文字和步骤编号，导出前始终可编辑
+ * 所有坐标均为原图像素坐标
+ */
+
+class AnnotationLayer {
+  constructor() {
+    this.items = [];
+    this.selected = null;
+    // 线宽、字号等随图片尺寸缩放
+    this.scale = 1;
+
+    this.measureCtx = document.createElement('canvas').getContext('2d');
+  }
+
+  /**
+   * 根据图片宽度设置绘制比例
+   */
+  setImageWidth(width) {
+    this.scale = Math.max(1, width / 800);
+  }
+
+  add(item) {
+    this.items.push(item);
+    this.selected = item;
+  }
+
+  remove(item) {
+    this.items = this.items.filter(current => current !== item);
+    if (this.selected === item) {
+      this.selected = null;
+    }
+  }
+
+  /**
+   * 撤销最后添加的标注
+   */
+  undo() {
+    const item = this.items.pop();
+    if (item && this.selected === item) {
+      this.selected = null;
+    }
+  }
+
+  clear() {
+    this.items = [];
+    this.selected = null;
+  }
+
+  /**
+   * 步骤编号按出现顺序自动计算，删除后自动重新编号
+   */
+  getBadgeNumber(item) {
+    return this.items.filter(current => current.type === 'badge').indexOf(item) + 1;
+  }
+
+  get fontSize() {
+    return Math.round(16 * this.scale);
+  }
+
+  get badgeRadius() {
+    return Math.round(14 * this.scale);
+  }
+
+  /**
+   * 计算标注的包围盒
+   */
+  getBounds(item) {
+    switch (item.type) {
+      case 'arrow':
+      case 'rect':
+        return {
+          left: Math.min(item.x1, item.x2),
+          top: Math.min(item.y1, item.y2),
+          right: Math.max(item.x1, item.x2),
+          bottom: Math.max(item.y1, item.y2)
+        };
+
+      case 'highlighter': {
+        const xs = item.points.map(point => point.x);
+        const ys = item.points.map(point => point.y);
+        const half = this.highlighterWidth / 2;
+        return {
+          left: Math.min(...xs) - half,
+          top: Math.min(...ys) - half,
+          right: Math.max(...xs) + half,
+          bottom: Math.max(...ys) + half
+        };
+      }
+
+      case 'text': {
+        this.measureCtx.font = this.getFont();
+        const width = this.measureCtx.measureText(item.text).width;
+        return {
+          left: item.x,
+          top: item.y,
+          right: item.x + width,
+          bottom: item.y + this.fontSize * 1.2
+        };
+      }
+
+      case 'badge': {
+        const r = this.badgeRadius;
+        return { left: item.x - r, top: item.y - r, right: item.x + r, bottom: item.y + r };
+      }
+    }
+    return { left: 0, top: 0, right: 0, bottom: 0 };
+  }
+
+  get highlighterWidth() {
+    return Math.round(18 * this.scale);
+  }
+
+  getFont() {
+    return `600 ${this.fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  }
+
+  /**
+   * 点到线段的距离
+   */
+  distanceToSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+  }
+
+  /**
+   * 查找指定位置最上层的标注
+   */
+  hitTest(x, y) {
+    const tolerance = 6 * this.scale;
+
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      const item = this.items[i];
+
+      if (item.type === 'arrow') {
+        if (this.distanceToSegment(x, y, item.x1, item.y1, item.x2, item.y2) <= tolerance) {
+          return item;
+        }
+        continue;
+      }
+
+      if (item.type === 'highlighter') {
+        const points = item.points;
+        for (let j = 1; j < points.length; j++) {
+          const distance = this.distanceToSegment(
+            x, y, points[j - 1].x, points[j - 1].y, points[j].x, points[j].y
+          );
+          if (distance <= this.highlighterWidth / 2) {
+            return item;
+          }
+        }
+        continue;
+      }
+
+      const bounds = this.getBounds(item);
+      if (x >= bounds.left - tolerance && x <= bounds.right + tolerance &&
+          y >= bounds.top - tolerance && y <= bounds.bottom + tolerance) {
+        return item;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 平移标注
+   */
+  moveBy(item, dx, dy) {
+    switch (item.type) {
+      case 'arrow':
+      case 'rect':
+        item.x1 += dx;
+        item.y1 += dy;
+        item.x2 += dx;
+        item.y2 += dy;
+        break;
+
+      case 'highlighter':
+        item.points.forEach(point => {
+          point.x += dx;
+          point.y += dy;
+        });
+        break;
+
+      default:
+        item.x += dx;
+        item.y += dy;
+    }
+  }
+
+  /**
+   * 绘制所有标注
+   * @param {CanvasRenderingContext2D} ctx - 目标画布
+   * @param {Object} options - { offsetY: 纵向偏移（裁剪后导出时使用）, showSelection: 是否绘制选中框 }
+   */
+  draw(ctx, options = {}) {
+    const { offsetY = 0, showSelection = false } = options;
+
+    ctx.save();
+    ctx.translate(0, -offsetY);
+
+    for (const item of this.items) {
+      this.drawItem(ctx, item);
+    }
+
+    if (showSelection && this.selected) {
+      const bounds = this.getBounds(this.selected);
+      const padding = 4 * this.scale;
+      ctx.setLineDash([6 * this.scale, 4 * this.scale]);
+      ctx.lineWidth = Math.max(1, this.scale);
+      ctx.strokeStyle = '#4a90d9';
+      ctx.strokeRect(
+        bounds.left - padding,
+        bounds.top - padding,
+        bounds.right - bounds.left + padding * 2,
+        bounds.bottom - bounds.top + padding * 2
+      );
+    }
+
+    ctx.restore();
+  }
+
+  drawItem(ctx, item) {
+    ctx.save();
+
+    switch (item.type) {
+      case 'arrow':
+        this.drawArrow(ctx, item);
+        break;
+      case 'rect':
+        ctx.lineWidth = 3 * this.scale;
+        ctx.strokeStyle = item.color;
+        ctx.strokeRect(item.x1, item.y1, item.x2 - item.x1, item.y2 - item.y1);
+        break;
+      case 'highlighter':
+        this.drawHighlighter(ctx, item);
+        break;
+      case 'text':
+        this.drawText(ctx, item);
+        break;
+      case 'badge':
+        this.drawBadge(ctx, item);
+        break;
+    }
+
+    ctx.restore();
+  }
+
+  drawArrow(ctx, item) {
+    const { x1, y1, x2, y2, color } = item;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const headLength = 16 * this.scale;
+    const lineWidth = 3 * this.scale;
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+
+    // 线段终点停在箭头底部，避免线头从箭头尖端露出
+    const baseX = x2 - Math.cos(angle) * headLength * 0.8;
+    const baseY = y2 - Math.sin(angle) * headLength * 0.8;
+
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(baseX, baseY);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(
+      x2 - headLength * Math.cos(angle - Math.PI / 7),
+      y2 - headLength * Math.sin(angle - Math.PI / 7)
+    );
+    ctx.lineTo(
+      x2 - headLength * Math.cos(angle + Math.PI / 7),
+      y2 - headLength * Math.sin(angle + Math.PI / 7)
+    );
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  drawHighlighter(ctx, item) {
+    const points = item.points;
+    if (points.length === 0) return;
+
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = item.color;
+    ctx.lineWidth = this.highlighterWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    // 单击时也画出一个点
+    if (points.length === 1) {
+      ctx.lineTo(points[0].x + 0.1, points[0].y);
+    }
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+  }
+
+  drawText(ctx, item) {
+    ctx.font = this.getFont();
+    ctx.textBaseline = 'top';
+
+    // 白色描边保证在任意背景上可读
+    ctx.lineWidth = 4 * this.scale;
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeText(item.text, item.x, item.y);
+
+    ctx.fillStyle = item.color;
+    ctx.fillText(item.text, item.x, item.y);
+  }
+
+  drawBadge(ctx, item) {
+    const r = this.badgeRadius;
+
+    ctx.beginPath();
+    ctx.arc(item.x, item.y, r, 0, Math.PI * 2);
+    ctx.fillStyle = item.color;
+    ctx.fill();
+    ctx.lineWidth = 2 * this.scale;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `700 ${Math.round(r * 1.1)}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(this.getBadgeNumber(item)), item.x, item.y + 1);
+  }
+}
@@ -0,0 +1,565 @@
+/**
+ * 截图预览编辑页
+ * 负责裁剪、去除空白、缩放平移和标注，确认后再下载、复制或丢弃
+ */
+
+const previewId = new URLSearchParams(location.search).get('id');
+
+const viewport = document.getElementById('viewport');
+const stage = document.getElementById('stage');
+const imageCanvas = document.getElementById('imageCanvas');
+const annotationCanvas = document.getElementById('annotationCanvas');
+const colorInput = document.getElementById('colorInput');
+const cropTopMask = document.getElementById('cropTopMask');
+const cropBottomMask = document.getElementById('cropBottomMask');
+const cropTopInput = document.getElementById('cropTopInput');
+const cropBottomInput = document.getElementById('cropBottomInput');
+const sizeInfo = document.getElementById('sizeInfo');
+const zoomValue = document.getElementById('zoomValue');
+const messageEl = document.getElementById('message');
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 4;
+
+const state = {
+  image: null,
+  options: {},
+  crop: { top: 0, bottom: 0 },
+  zoom: 1,
+  tool: 'select'
+};
+
+const annotations = new AnnotationLayer();
+
+/**
+ * 显示提示消息
+ */
+function showMessage(text, type = 'normal') {
+  messageEl.textContent = text;
+  messageEl.classList.remove('hidden', 'error');
+  if (type === 'error') {
+    messageEl.classList.add('error');
+  }
+
+  clearTimeout(showMessage.timer);
+  showMessage.timer = setTimeout(() => messageEl.classList.add('hidden'), 3000);
+}
+
+/**
+ * 限制裁剪范围，至少保留 1 像素高度
+ */
+function clampCrop() {
+  const height = state.image.height;
+  state.crop.top = Math.max(0, Math.min(Math.round(state.crop.top), height - 1));
+  state.crop.bottom = Math.max(0, Math.min(Math.round(state.crop.bottom), height - 1 - state.crop.top));
+}
+
+/**
+ * 刷新画面（尺寸、遮罩、输入框）
+ */
+function render() {
+  if (!state.image) return;
+
+  clampCrop();
+
+  const { width, height } = state.image;
+  const { top, bottom } = state.crop;
+
+  stage.style.width = `${width * state.zoom}px`;
+  stage.style.height = `${height * state.zoom}px`;
+
+  cropTopMask.style.height = `${top * state.zoom}px`;
+  cropBottomMask.style.height = `${bottom * state.zoom}px`;
+
+  cropTopInput.value = top;
+  cropBottomInput.value = bottom;
+
+  zoomValue.textContent = `${Math.round(state.zoom * 100)}%`;
+  sizeInfo.textContent = `${width} × ${height - top - bottom}`;
+}
+
+/**
+ * 重绘标注图层
+ */
+function renderAnnotations() {
+  const ctx = annotationCanvas.getContext('2d');
+  ctx.clearRect(0, 0, annotationCanvas.width, annotationCanvas.height);
+  annotations.draw(ctx, { showSelection: true });
+}
+
+/**
+ * 设置缩放比例，保持视口中心位置不变
+ */
+function setZoom(zoom) {
+  const nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+  const centerX = (viewport.scrollLeft + viewport.clientWidth / 2) / state.zoom;
+  const centerY = (viewport.scrollTop + viewport.clientHeight / 2) / state.zoom;
+
+  state.zoom = nextZoom;
+  render();
+
+  viewport.scrollLeft = centerX * nextZoom - viewport.clientWidth / 2;
+  viewport.scrollTop = centerY * nextZoom - viewport.clientHeight / 2;
+}
+
+/**
+ * 缩放到适应视口宽度
+ */
+function fitToWidth() {
+  const padding = 48;
+  const availableWidth = viewport.clientWidth - padding;
+  setZoom(Math.min(1, availableWidth / state.image.width));
+}
+
+/**
+ * 判断一行像素是否为纯色（与背景色一致）
+ */
+function isBlankRow(data, rowOffset, width, background) {
+  const sampleCount = Math.min(width, 200);
+  const sampleStep = Math.max(1, Math.floor(width / sampleCount));
+
+  for (let x = 0; x < width; x += sampleStep) {
+    const idx = rowOffset + x * 4;
+    if (Math.abs(data[idx] - background[0]) > 8 ||
+        Math.abs(data[idx + 1] - background[1]) > 8 ||
+        Math.abs(data[idx + 2] - background[2]) > 8 ||
+        Math.abs(data[idx + 3] - background[3]) > 8) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 从顶部或底部开始统计连续空白行数
+ * @param {CanvasRenderingContext2D} ctx - 图片画布上下文
+ * @param {boolean} fromBottom - 是否从底部开始
+ */
+function countBlankRows(ctx, fromBottom) {
+  const { width, height } = state.image;
+  const chunkHeight = 64;
+
+  // 以起始角的像素颜色作为背景色
+  const cornerY = fromBottom ? height - 1 : 0;
+  const background = ctx.getImageData(0, cornerY, 1, 1).data;
+
+  let count = 0;
+  while (count < height) {
+    const rows = Math.min(chunkHeight, height - count);
+    const y = fromBottom ? height - count - rows : count;
+    const { data } = ctx.getImageData(0, y, width, rows);
+
+    for (let i = 0; i < rows; i++) {
+      const row = fromBottom ? rows - 1 - i : i;
+      if (!isBlankRow(data, row * width * 4, width, background)) {
+        return count;
+      }
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * 自动去除顶部和底部的空白
+ */
+function trimWhitespace() {
+  const ctx = imageCanvas.getContext('2d', { willReadFrequently: true });
+  const top = countBlankRows(ctx, false);
+
+  if (top >= state.image.height) {
+    showMessage('整张图片都是空白', 'error');
+    return;
+  }
+
+  state.crop.top = top;
+  state.crop.bottom = countBlankRows(ctx, true);
+  render();
+
+  showMessage(`已去除空白：顶部 ${state.crop.top}px，底部 ${state.crop.bottom}px`);
+}
+
+/**
+ * 生成裁剪后的输出画布
+ * @returns {HTMLCanvasElement}
+ */
+function renderOutput() {
+  const { width, height } = state.image;
+  const { top, bottom } = state.crop;
+  const outputHeight = height - top - bottom;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = outputHeight;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(imageCanvas, 0, top, width, outputHeight, 0, 0, width, outputHeight);
+
+  // 导出时将矢量标注合并到图片中
+  annotations.draw(ctx, { offsetY: top });
+
+  return canvas;
+}
+
+/**
+ * 下载：交给 background 按所选格式导出
+ */
+async function downloadImage() {
+  const dataUrl = renderOutput().toDataURL('image/png');
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'EXPORT_IMAGE',
+    dataUrl,
+    options: state.options
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || '导出失败');
+  }
+
+  showMessage('已保存到下载目录');
+}
+
+/**
+ * 复制到剪贴板（编辑页处于焦点，可直接使用 Clipboard API）
+ */
+async function copyImage() {
+  const canvas = renderOutput();
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+  await navigator.clipboard.write([
+    new ClipboardItem({ 'image/png': blob })
+  ]);
+
+  showMessage('已复制到剪贴板');
+}
+
+/**
+ * 丢弃截图并关闭页面
+ */
+async function discard() {
+  await chrome.runtime.sendMessage({ type: 'DISCARD_PREVIEW', id: previewId });
+
+  const tab = await chrome.tabs.getCurrent();
+  chrome.tabs.remove(tab.id);
+}
+
+/**
+ * 为按钮绑定异步操作，执行期间禁用按钮并显示错误
+ */
+function bindAction(id, action) {
+  const button = document.getElementById(id);
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await action();
+    } catch (error) {
+      console.error('[ESC Editor] Action failed:', error);
+      showMessage('操作失败: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * 拖动裁剪线
+ */
+function attachCropHandles() {
+  document.querySelectorAll('.crop-handle').forEach(handle => {
+    handle.addEventListener('pointerdown', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const edge = handle.dataset.edge;
+      const startY = event.clientY;
+      const startValue = state.crop[edge];
+
+      const onMove = (moveEvent) => {
+        const delta = (moveEvent.clientY - startY) / state.zoom;
+        state.crop[edge] = edge === 'top' ? startValue + delta : startValue - delta;
+        render();
+      };
+
+      const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+      };
+
+      window.addEventListener('pointermove', onMove);
+      window.addEventListener('pointerup', onUp);
+    });
+  });
+}
+
+/**
+ * 切换标注工具
+ */
+function setTool(tool) {
+  state.tool = tool;
+  document.querySelectorAll('.tool').forEach(button => {
+    button.classList.toggle('active', button.dataset.tool === tool);
+  });
+  stage.classList.toggle('drawing', tool !== 'select');
+}
+
+/**
+ * 将鼠标位置转换为原图像素坐标
+ */
+function toImagePoint(event) {
+  const rect = stage.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) / state.zoom,
+    y: (event.clientY - rect.top) / state.zoom
+  };
+}
+
+/**
+ * 跟踪一次拖动操作
+ * @param {Function} onMove - 接收当前原图坐标
+ * @param {Function} [onEnd] - 拖动结束回调
+ */
+function trackDrag(onMove, onEnd) {
+  const handleMove = (event) => {
+    onMove(toImagePoint(event));
+    renderAnnotations();
+  };
+
+  const handleUp = () => {
+    window.removeEventListener('pointermove', handleMove);
+    window.removeEventListener('pointerup', handleUp);
+    if (onEnd) onEnd();
+    renderAnnotations();
+  };
+
+  window.addEventListener('pointermove', handleMove);
+  window.addEventListener('pointerup', handleUp);
+}
+
+/**
+ * 在画面上按下鼠标：选择/移动标注，或使用当前工具创建标注
+ */
+function handleStagePointerDown(event) {
+  if (event.button !== 0 || !state.image) return;
+
+  const start = toImagePoint(event);
+  const color = colorInput.value;
+
+  if (state.tool === 'select') {
+    const hit = annotations.hitTest(start.x, start.y);
+    annotations.selected = hit;
+    renderAnnotations();
+
+    // 未命中标注时交给视图平移处理
+    if (!hit) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    let last = start;
+    trackDrag(point => {
+      annotations.moveBy(hit, point.x - last.x, point.y - last.y);
+      last = point;
+    });
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  switch (state.tool) {
+    case 'arrow':
+    case 'rect': {
+      const item = { type: state.tool, x1: start.x, y1: start.y, x2: start.x, y2: start.y, color };
+      annotations.add(item);
+      trackDrag(point => {
+        item.x2 = point.x;
+        item.y2 = point.y;
+      }, () => {
+        // 忽略误触产生的过小标注
+        if (Math.hypot(item.x2 - item.x1, item.y2 - item.y1) < 4) {
+          annotations.remove(item);
+        }
+      });
+      break;
+    }
+
+    case 'highlighter': {
+      const item = { type: 'highlighter', points: [start], color };
+      annotations.add(item);
+      trackDrag(point => {
+        item.points.push(point);
+      });
+      break;
+    }
+
+    case 'text': {
+      const text = prompt('输入标注文字');
+      if (text) {
+        annotations.add({ type: 'text', x: start.x, y: start.y, text, color });
+      }
+      break;
+    }
+
+    case 'badge':
+      annotations.add({ type: 'badge', x: start.x, y: start.y, color });
+      break;
+  }
+
+  renderAnnotations();
+}
+
+/**
+ * 双击文字标注重新编辑
+ */
+function handleStageDoubleClick(event) {
+  const point = toImagePoint(event);
+  const hit = annotations.hitTest(point.x, point.y);
+  if (!hit || hit.type !== 'text') return;
+
+  const text = prompt('编辑标注文字', hit.text);
+  if (text === null) return;
+
+  if (text) {
+    hit.text = text;
+  } else {
+    annotations.remove(hit);
+  }
+  renderAnnotations();
+}
+
+/**
+ * 快捷键：删除选中标注、撤销
+ */
+function handleKeyDown(event) {
+  if (event.target instanceof HTMLInputElement) return;
+
+  if ((event.key === 'Delete' || event.key === 'Backspace') && annotations.selected) {
+    event.preventDefault();
+    annotations.remove(annotations.selected);
+    renderAnnotations();
+  }
+
+  if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+    event.preventDefault();
+    annotations.undo();
+    renderAnnotations();
+  }
+}
+
+/**
+ * 拖动平移视图
+ */
+function attachPanning() {
+  viewport.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+
+    const startX = event.clientX;
+    const startY = event.clientY;
+    const startLeft = viewport.scrollLeft;
+    const startTop = viewport.scrollTop;
+
+    viewport.classList.add('panning');
+
+    const onMove = (moveEvent) => {
+      viewport.scrollLeft = startLeft - (moveEvent.clientX - startX);
+      viewport.scrollTop = startTop - (moveEvent.clientY - startY);
+    };
+
+    const onUp = () => {
+      viewport.classList.remove('panning');
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  });
+
+  // Ctrl + 滚轮缩放
+  viewport.addEventListener('wheel', (event) => {
+    if (!event.ctrlKey) return;
+    event.preventDefault();
+    setZoom(state.zoom * (event.deltaY < 0 ? 1.1 : 1 / 1.1));
+  }, { passive: false });
+}
+
+/**
+ * 从 background 加载截图
+ */
+async function loadPreview() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_PREVIEW', id: previewId });
+
+  if (!response?.success) {
+    throw new Error(response?.error || '截图不存在');
+  }
+
+  const blob = await (await fetch(response.dataUrl)).blob();
+  state.image = await createImageBitmap(blob);
+  state.options = response.options || {};
+
+  imageCanvas.width = state.image.width;
+  imageCanvas.height = state.image.height;
+  imageCanvas.getContext('2d', { willReadFrequently: true }).drawImage(state.image, 0, 0);
+
+  annotationCanvas.width = state.image.width;
+  annotationCanvas.height = state.image.height;
+  annotations.setImageWidth(state.image.width);
+
+  fitToWidth();
+}
+
+// 事件监听
+cropTopInput.addEventListener('change', () => {
+  state.crop.top = Number(cropTopInput.value) || 0;
+  render();
+});
+
+cropBottomInput.addEventListener('change', () => {
+  state.crop.bottom = Number(cropBottomInput.value) || 0;
+  render();
+});
+
+document.getElementById('trimBtn').addEventListener('click', trimWhitespace);
+document.getElementById('resetCropBtn').addEventListener('click', () => {
+  state.crop = { top: 0, bottom: 0 };
+  render();
+});
+
+document.getElementById('zoomInBtn').addEventListener('click', () => setZoom(state.zoom * 1.25));
+document.getElementById('zoomOutBtn').addEventListener('click', () => setZoom(state.zoom / 1.25));
+document.getElementById('fitBtn').addEventListener('click', fitToWidth);
+document.getElementById('actualSizeBtn').addEventListener('click', () => setZoom(1));
+
+document.querySelectorAll('.tool').forEach(button => {
+  button.addEventListener('click', () => setTool(button.dataset.tool));
+});
+
+document.getElementById('undoBtn').addEventListener('click', () => {
+  annotations.undo();
+  renderAnnotations();
+});
+
+document.getElementById('clearBtn').addEventListener('click', () => {
+  if (annotations.items.length > 0 && confirm('确定清除所有标注？')) {
+    annotations.clear();
+    renderAnnotations();
+  }
+});
+
+stage.addEventListener('pointerdown', handleStagePointerDown);
+stage.addEventListener('dblclick', handleStageDoubleClick);
+document.addEventListener('keydown', handleKeyDown);
+
+bindAction('downloadBtn', downloadImage);
+bindAction('copyBtn', copyImage);
+bindAction('discardBtn', discard);
+
+attachCropHandles();
+attachPanning();
+
+loadPreview().catch(error => {
+  console.error('[ESC Editor] Failed to load preview:', error);
+  showMessage('加载截图失败: ' + error.message, 'error');
+});
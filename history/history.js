@@ -0,0 +1,177 @@
+/**
+ * 截图历史页面
+ * 负责搜索、重新下载、复制和删除历史截图
+ */
+
+const historyStore = new HistoryStore();
+
+const searchInput = document.getElementById('searchInput');
+const usageInfo = document.getElementById('usageInfo');
+const emptyState = document.getElementById('emptyState');
+const grid = document.getElementById('grid');
+const cardTemplate = document.getElementById('cardTemplate');
+const messageEl = document.getElementById('message');
+
+// 当前页面创建的 object URL，重新渲染时释放
+let objectUrls = [];
+
+/**
+ * 显示提示消息
+ */
+function showMessage(text, type = 'normal') {
+  messageEl.textContent = text;
+  messageEl.classList.remove('hidden', 'error');
+  if (type === 'error') {
+    messageEl.classList.add('error');
+  }
+
+  clearTimeout(showMessage.timer);
+  showMessage.timer = setTimeout(() => messageEl.classList.add('hidden'), 2000);
+}
+
+/**
+ * 格式化文件大小
+ */
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(0)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 重新下载
+ */
+async function downloadEntry(entry) {
+  const url = URL.createObjectURL(entry.blob);
+  objectUrls.push(url);
+
+  await chrome.downloads.download({
+    url,
+    filename: entry.filename,
+    saveAs: false
+  });
+
+  showMessage('已开始下载');
+}
+
+/**
+ * 复制到剪贴板（非 PNG 格式先转换为 PNG）
+ */
+async function copyEntry(entry) {
+  let blob = entry.blob;
+
+  if (blob.type !== 'image/png') {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    blob = await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  await navigator.clipboard.write([
+    new ClipboardItem({ 'image/png': blob })
+  ]);
+
+  showMessage('已复制到剪贴板');
+}
+
+/**
+ * 删除记录
+ */
+async function deleteEntry(entry) {
+  await historyStore.delete(entry.id);
+  showMessage('已删除');
+  await renderHistory();
+}
+
+/**
+ * 为按钮绑定异步操作，执行期间禁用按钮并显示错误
+ */
+function bindAction(button, action) {
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await action();
+    } catch (error) {
+      console.error('[ESC History] Action failed:', error);
+      showMessage('操作失败: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * 创建截图卡片
+ */
+function createCard(entry) {
+  const card = cardTemplate.content.firstElementChild.cloneNode(true);
+
+  const thumbnailUrl = URL.createObjectURL(entry.thumbnail);
+  objectUrls.push(thumbnailUrl);
+  card.querySelector('img').src = thumbnailUrl;
+
+  card.querySelector('.title').textContent = entry.title || '(无标题)';
+  card.querySelector('.title').title = entry.title || '';
+
+  const urlEl = card.querySelector('.url');
+  urlEl.textContent = entry.url;
+  urlEl.href = entry.url;
+  urlEl.title = entry.url;
+
+  const selectorEl = card.querySelector('.selector');
+  selectorEl.textContent = entry.selector || '整个页面';
+  selectorEl.title = entry.selector || '';
+
+  card.querySelector('.meta').textContent = [
+    new Date(entry.createdAt).toLocaleString(),
+    `${entry.width} × ${entry.height}`,
+    formatSize(entry.blob.size)
+  ].join(' · ');
+
+  const copyBtn = card.querySelector('.action-copy');
+  if (!entry.blob.type.startsWith('image/')) {
+    // PDF 无法复制为图片
+    copyBtn.disabled = true;
+    copyBtn.title = 'PDF 不支持复制';
+  }
+
+  bindAction(card.querySelector('.action-download'), () => downloadEntry(entry));
+  bindAction(copyBtn, () => copyEntry(entry));
+  bindAction(card.querySelector('.action-delete'), () => deleteEntry(entry));
+
+  return card;
+}
+
+/**
+ * 渲染历史列表
+ */
+async function renderHistory() {
+  objectUrls.forEach(url => URL.revokeObjectURL(url));
+  objectUrls = [];
+
+  const entries = await historyStore.list({ query: searchInput.value });
+
+  grid.replaceChildren(...entries.map(createCard));
+  emptyState.classList.toggle('hidden', entries.length > 0);
+
+  const usage = await historyStore.getUsage();
+  usageInfo.textContent = `已使用 ${formatSize(usage)} / ${formatSize(HISTORY_QUOTA_BYTES)}`;
+}
+
+// 事件监听
+searchInput.addEventListener('input', () => {
+  clearTimeout(renderHistory.timer);
+  renderHistory.timer = setTimeout(renderHistory, 200);
+});
+
+bindAction(document.getElementById('clearAllBtn'), async () => {
+  if (!confirm('确定清空所有截图历史？此操作无法撤销。')) return;
+  await historyStore.clear();
+  await renderHistory();
+});
+
+renderHistory().catch(error => {
+  console.error('[ESC History] Failed to load history:', error);
+  showMessage('加载历史失败: ' + error.message, 'error');
+});
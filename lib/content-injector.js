@@ -0,0 +1,33 @@
+/**
+ * 按需注入 content script
+ * background 和 popup 共用，只向尚未注入的 frame 注入
+ */
+
+/**
+ * 确保 content script 已注入指定标签页的所有 frame
+ * @param {number} tabId - 标签页 ID
+ */
+async function ensureContentScriptInjected(tabId) {
+  // 找出尚未注入的 frame（包括页面加载后新增的 iframe）
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => Boolean(window.escContentLoaded)
+  });
+  const frameIds = results.filter(result => !result.result).map(result => result.frameId);
+
+  if (frameIds.length === 0) return;
+
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds },
+    files: ['lib/settings.js', 'content/content.js']
+  });
+
+  // 注入样式
+  await chrome.scripting.insertCSS({
+    target: { tabId, frameIds },
+    files: ['styles/inspector.css']
+  });
+
+  // 等待 content script 初始化
+  await new Promise(resolve => setTimeout(resolve, 100));
+}
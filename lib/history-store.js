@@ -0,0 +1,240 @@
+/**
+ * 截图历史存储 (HistoryStore)
+ * 使用 IndexedDB 保存每次截图的结果和元数据，供历史页面和 popup 使用
+ */
+
+/**
+ * 历史记录占用空间上限，超出后从最旧的记录开始删除
+ */
+const HISTORY_QUOTA_BYTES = 300 * 1024 * 1024;
+
+/**
+ * 记录占用的空间（图片 + 缩略图）
+ * @param {Object} entry - 截图记录
+ */
+function getStoredSize(entry) {
+  return entry.blob.size + (entry.thumbnail?.size || 0);
+}
+
+class HistoryStore {
+  constructor() {
+    this.dbName = 'esc-history';
+    this.storeName = 'captures';
+    this.previewStoreName = 'previews';
+    this.dbPromise = null;
+  }
+
+  /**
+   * 打开数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, {
+            keyPath: 'id',
+            autoIncrement: true
+          });
+          store.createIndex('createdAt', 'createdAt');
+          // 每条记录占用的空间（图片 + 缩略图），统计用量时只读索引，不加载图片
+          store.createIndex('storedSize', 'storedSize');
+
+          // 等待预览编辑的截图，Service Worker 停止后仍可读取
+          request.result.createObjectStore(this.previewStoreName, { keyPath: 'id' });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 在事务中执行操作
+   * @param {IDBTransactionMode} mode - readonly / readwrite
+   * @param {Function} callback - 接收 object store，返回 IDBRequest
+   * @param {string} [storeName] - object store 名称，默认为截图记录
+   */
+  async run(mode, callback, storeName = this.storeName) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 在事务中遍历游标
+   * @param {Function} openCursor - 接收 object store，返回游标请求
+   * @param {Function} callback - 接收游标，返回 false 时停止遍历
+   */
+  async iterate(openCursor, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readonly');
+      const request = openCursor(transaction.objectStore(this.storeName));
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && callback(cursor) !== false) {
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 添加一条截图记录
+   * @param {Object} entry - { blob, thumbnail, filename, url, title, selector, width, height, createdAt }
+   * @returns {Promise<number>} - 记录 ID
+   */
+  add(entry) {
+    return this.run('readwrite', store => store.add({
+      ...entry,
+      storedSize: getStoredSize(entry),
+      createdAt: entry.createdAt || Date.now()
+    }));
+  }
+
+  /**
+   * 读取单条记录
+   */
+  get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  /**
+   * 删除单条记录
+   */
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * 清空所有记录
+   */
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+
+  /**
+   * 按时间倒序列出记录，取够 limit 条后停止读取
+   * @param {Object} options - { query: 按标题、网址、选择器搜索, limit: 最大数量 }
+   */
+  async list(options = {}) {
+    const { query = '', limit = Infinity } = options;
+    const keyword = query.trim().toLowerCase();
+    const entries = [];
+
+    if (limit <= 0) return entries;
+
+    await this.iterate(store => store.index('createdAt').openCursor(null, 'prev'), cursor => {
+      const entry = cursor.value;
+      if (!keyword || [entry.title, entry.url, entry.selector]
+        .some(field => (field || '').toLowerCase().includes(keyword))) {
+        entries.push(entry);
+      }
+      return entries.length < limit;
+    });
+
+    return entries;
+  }
+
+  /**
+   * 读取每条记录占用的空间（只遍历索引，不加载图片）
+   * @returns {Promise<Map<number, number>>} - 记录 ID → 字节数
+   */
+  async getSizes() {
+    const sizes = new Map();
+    await this.iterate(store => store.index('storedSize').openKeyCursor(), cursor => {
+      sizes.set(cursor.primaryKey, cursor.key);
+    });
+    return sizes;
+  }
+
+  /**
+   * 统计已占用的空间
+   */
+  async getUsage() {
+    const sizes = await this.getSizes();
+    let usage = 0;
+    for (const size of sizes.values()) {
+      usage += size;
+    }
+    return usage;
+  }
+
+  /**
+   * 超出配额时从最旧的记录开始删除
+   * @param {number} quotaBytes - 空间上限
+   * @returns {Promise<number>} - 删除的记录数
+   */
+  async enforceQuota(quotaBytes = HISTORY_QUOTA_BYTES) {
+    const sizes = await this.getSizes();
+    let usage = 0;
+    for (const size of sizes.values()) {
+      usage += size;
+    }
+    if (usage <= quotaBytes) return 0;
+
+    // 按时间从旧到新的记录 ID（只遍历索引）
+    const ids = [];
+    await this.iterate(store => store.index('createdAt').openKeyCursor(), cursor => {
+      ids.push(cursor.primaryKey);
+    });
+
+    // 至少保留最新的一条
+    let removed = 0;
+    for (let i = 0; i < ids.length - 1 && usage > quotaBytes; i++) {
+      await this.delete(ids[i]);
+      usage -= sizes.get(ids[i]) || 0;
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * 保存等待预览的截图，只保留最近的 keep 张
+   * @param {Object} preview - { id, blob, options }
+   * @param {number} keep - 最多保留的数量
+   */
+  async putPreview(preview, keep) {
+    await this.run('readwrite', store => store.put({ ...preview, createdAt: Date.now() }),
+      this.previewStoreName);
+
+    // ID 以时间戳开头，按 ID 排序即按时间排序
+    const ids = await this.run('readonly', store => store.getAllKeys(), this.previewStoreName);
+    for (const id of ids.slice(0, Math.max(0, ids.length - keep))) {
+      await this.deletePreview(id);
+    }
+  }
+
+  /**
+   * 读取等待预览的截图
+   */
+  getPreview(id) {
+    return this.run('readonly', store => store.get(id), this.previewStoreName);
+  }
+
+  /**
+   * 删除等待预览的截图
+   */
+  deletePreview(id) {
+    return this.run('readwrite', store => store.delete(id), this.previewStoreName);
+  }
+}
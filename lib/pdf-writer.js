@@ -0,0 +1,139 @@
+/**
+ * 简易 PDF 写入器 (PdfWriter)
+ * 将 JPEG 图片逐页嵌入 PDF 文件，完全在本地生成，不依赖任何网络服务
+ */
+
+/**
+ * 页面尺寸（单位：pt，1pt = 1/72 英寸）
+ */
+const PDF_PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+
+class PdfWriter {
+  constructor() {
+    this.encoder = new TextEncoder();
+    // 对象内容，下标 + 1 即对象编号
+    this.objects = [];
+    this.pageIds = [];
+
+    // 预留 Catalog 和 Pages 对象
+    this.catalogId = this.reserveObject();
+    this.pagesId = this.reserveObject();
+  }
+
+  /**
+   * 预留一个对象编号
+   */
+  reserveObject() {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  /**
+   * 设置对象内容
+   * @param {number} id - 对象编号
+   * @param {Array<string|Uint8Array>} parts - 对象内容片段
+   */
+  setObject(id, parts) {
+    this.objects[id - 1] = parts.map(part =>
+      typeof part === 'string' ? this.encoder.encode(part) : part
+    );
+  }
+
+  /**
+   * 添加对象
+   */
+  addObject(parts) {
+    const id = this.reserveObject();
+    this.setObject(id, parts);
+    return id;
+  }
+
+  /**
+   * 格式化数字（PDF 不支持科学计数法）
+   */
+  num(value) {
+    return Number(value.toFixed(2)).toString();
+  }
+
+  /**
+   * 添加一页，页面中放置一张 JPEG 图片
+   * @param {Uint8Array} jpegBytes - JPEG 文件数据
+   * @param {number} imageWidth - 图片像素宽度
+   * @param {number} imageHeight - 图片像素高度
+   * @param {Object} pageSize - 页面尺寸 { width, height }（pt）
+   * @param {Object} placement - 图片在页面中的位置 { x, y, width, height }（pt，原点在左下角）
+   */
+  addJpegPage(jpegBytes, imageWidth, imageHeight, pageSize, placement) {
+    const imageId = this.addObject([
+      `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\n` +
+      'stream\n',
+      jpegBytes,
+      '\nendstream'
+    ]);
+
+    const content = `q ${this.num(placement.width)} 0 0 ${this.num(placement.height)} ` +
+      `${this.num(placement.x)} ${this.num(placement.y)} cm /Im0 Do Q`;
+    const contentId = this.addObject([
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ]);
+
+    const pageId = this.addObject([
+      `<< /Type /Page /Parent ${this.pagesId} 0 R ` +
+      `/MediaBox [0 0 ${this.num(pageSize.width)} ${this.num(pageSize.height)}] ` +
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> ` +
+      `/Contents ${contentId} 0 R >>`
+    ]);
+
+    this.pageIds.push(pageId);
+  }
+
+  /**
+   * 生成 PDF 文件
+   * @returns {Blob}
+   */
+  toBlob() {
+    this.setObject(this.catalogId, [
+      `<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`
+    ]);
+    this.setObject(this.pagesId, [
+      `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] ` +
+      `/Count ${this.pageIds.length} >>`
+    ]);
+
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+      const bytes = typeof chunk === 'string' ? this.encoder.encode(chunk) : chunk;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    write('%PDF-1.4\n');
+
+    this.objects.forEach((parts, index) => {
+      offsets.push(length);
+      write(`${index + 1} 0 obj\n`);
+      parts.forEach(write);
+      write('\nendobj\n');
+    });
+
+    // 交叉引用表，每条记录固定 20 字节
+    const xrefOffset = length;
+    write(`xref\n0 ${this.objects.length + 1}\n`);
+    write('0000000000 65535 f \n');
+    offsets.forEach(offset => {
+      write(`${String(offset).padStart(10, '0')} 00000 n \n`);
+    });
+
+    write(`trailer\n<< /Size ${this.objects.length + 1} /Root ${this.catalogId} 0 R >>\n`);
+    write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * 截图参数设置
+ * 选项页、popup 和 content script 共用的默认值与校验逻辑
+ * 保存在 chrome.storage.sync 的 captureSettings 中，可在设备间同步
+ */
+
+const DEFAULT_CAPTURE_SETTINGS = {
+  // 相邻帧之间的重叠比例
+  overlapRatio: 0.2,
+  // 每次滚动后等待页面稳定的时间（毫秒）
+  settleDelay: 350,
+  // 截图频率受限时的最大尝试次数
+  maxRetries: 3,
+  // 拼接时查找重复内容的最大范围（占可见区域的比例）
+  maxOverlapRatio: 0.3,
+  // 是否隐藏 fixed/sticky 遮挡元素
+  isolation: true,
+  // 截图期间是否冻结动画、过渡、光标闪烁和音视频
+  freezeAnimations: true,
+  // 懒加载 / 无限滚动模式：每帧后重新计算滚动范围，直到内容不再增长或达到上限
+  lazyLoadMode: false,
+  // 虚拟列表模式：按每次滚动后读回的实际 scrollTop 截图，容器不再移动时结束
+  virtualizedMode: false,
+  // 懒加载 / 虚拟列表模式的帧数和像素（百万）上限
+  lazyLoadMaxFrames: 100,
+  lazyLoadMaxMegapixels: 150,
+  // 目标内部的 fixed / sticky 元素：keep 保持原样；first-frame 只在第一帧中显示；static 改为普通定位
+  internalSticky: 'keep',
+  // popup 中未选择时使用的导出格式和截图后操作
+  defaultFormat: 'png',
+  defaultDestination: 'download',
+  // 下载文件名模板，可用 / 分隔子目录
+  filenameTemplate: 'element-capture-{date}-{time}',
+  // 下载时是否弹出「另存为」对话框
+  saveAs: false,
+  // 多选元素拼合的方向、间距（图片像素）和背景色
+  composeLayout: 'vertical',
+  composeGap: 16,
+  composeBackground: '#ffffff'
+};
+
+/**
+ * 数值设置的取值范围
+ */
+const CAPTURE_SETTING_RANGES = {
+  overlapRatio: { min: 0, max: 0.5 },
+  settleDelay: { min: 0, max: 5000, integer: true },
+  maxRetries: { min: 1, max: 10, integer: true },
+  maxOverlapRatio: { min: 0, max: 0.9 },
+  lazyLoadMaxFrames: { min: 1, max: 500, integer: true },
+  lazyLoadMaxMegapixels: { min: 1, max: 1000, integer: true },
+  composeGap: { min: 0, max: 500, integer: true }
+};
+
+/**
+ * 选项设置的可选值
+ */
+const CAPTURE_SETTING_CHOICES = {
+  defaultFormat: ['png', 'jpeg', 'webp', 'pdf'],
+  defaultDestination: ['download', 'clipboard', 'preview'],
+  composeLayout: ['vertical', 'horizontal'],
+  internalSticky: ['keep', 'first-frame', 'static']
+};
+
+/**
+ * 校验并补全设置：超出范围的数值截断到边界，非法值和未知字段使用默认值
+ * @param {Object} raw - 保存的或导入的设置
+ * @returns {Object} - 完整的设置
+ */
+function normalizeCaptureSettings(raw = {}) {
+  const settings = { ...DEFAULT_CAPTURE_SETTINGS };
+
+  for (const [key, range] of Object.entries(CAPTURE_SETTING_RANGES)) {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') continue;
+
+    let value = Number(raw[key]);
+    if (!Number.isFinite(value)) continue;
+
+    if (range.integer) {
+      value = Math.round(value);
+    }
+    settings[key] = Math.min(range.max, Math.max(range.min, value));
+  }
+
+  for (const [key, choices] of Object.entries(CAPTURE_SETTING_CHOICES)) {
+    if (choices.includes(raw[key])) {
+      settings[key] = raw[key];
+    }
+  }
+
+  for (const key of ['isolation', 'freezeAnimations', 'lazyLoadMode', 'virtualizedMode', 'saveAs']) {
+    if (typeof raw[key] === 'boolean') {
+      settings[key] = raw[key];
+    }
+  }
+
+  if (/^#[0-9a-f]{6}$/i.test(raw.composeBackground)) {
+    settings.composeBackground = raw.composeBackground.toLowerCase();
+  }
+
+  if (typeof raw.filenameTemplate === 'string' && raw.filenameTemplate.trim()) {
+    settings.filenameTemplate = raw.filenameTemplate.trim().slice(0, 200);
+  }
+
+  return settings;
+}
+
+/**
+ * 读取截图参数设置
+ */
+async function loadCaptureSettings() {
+  const { captureSettings } = await chrome.storage.sync.get('captureSettings');
+  return normalizeCaptureSettings(captureSettings);
+}
@@ -0,0 +1,274 @@
+/**
+ * 选项页脚本
+ * 管理保存在 chrome.storage.sync 中的设置
+ */
+
+const rulesBody = document.getElementById('rulesBody');
+const rulesEmpty = document.getElementById('rulesEmpty');
+const ruleTemplate = document.getElementById('ruleTemplate');
+const messageEl = document.getElementById('message');
+const importFile = document.getElementById('importFile');
+
+const MASK_EFFECTS = ['blur', 'pixelate', 'blackout'];
+
+/**
+ * 显示提示消息
+ */
+function showMessage(text, type = 'normal') {
+  messageEl.textContent = text;
+  messageEl.classList.remove('hidden', 'error');
+  if (type === 'error') {
+    messageEl.classList.add('error');
+  }
+
+  clearTimeout(showMessage.timer);
+  showMessage.timer = setTimeout(() => messageEl.classList.add('hidden'), 2000);
+}
+
+/**
+ * 把截图参数填入表单
+ */
+function fillSettingsForm(settings) {
+  for (const key of Object.keys(DEFAULT_CAPTURE_SETTINGS)) {
+    const input = document.getElementById(key);
+    if (input.type === 'checkbox') {
+      input.checked = settings[key];
+    } else {
+      input.value = settings[key];
+    }
+  }
+}
+
+/**
+ * 从表单读取截图参数
+ */
+function readSettingsForm() {
+  const raw = {};
+  for (const key of Object.keys(DEFAULT_CAPTURE_SETTINGS)) {
+    const input = document.getElementById(key);
+    raw[key] = input.type === 'checkbox' ? input.checked : input.value;
+  }
+  return normalizeCaptureSettings(raw);
+}
+
+/**
+ * 保存截图参数
+ * 默认格式或截图后操作变化时，清除 popup 中对应的当前选择，使新的默认值生效
+ */
+async function saveCaptureSettings(settings) {
+  const previous = await loadCaptureSettings();
+  await chrome.storage.sync.set({ captureSettings: settings });
+
+  const { outputSettings } = await chrome.storage.local.get('outputSettings');
+  if (!outputSettings) return;
+
+  if (settings.defaultFormat !== previous.defaultFormat) {
+    delete outputSettings.format;
+  }
+  if (settings.defaultDestination !== previous.defaultDestination) {
+    delete outputSettings.destination;
+  }
+  await chrome.storage.local.set({ outputSettings });
+}
+
+/**
+ * 表单修改后自动保存（超出范围的数值会被截断并回填）
+ */
+async function handleSettingsChange() {
+  const settings = readSettingsForm();
+  fillSettingsForm(settings);
+  await saveCaptureSettings(settings);
+  showMessage('已保存');
+}
+
+/**
+ * 检查 CSS 选择器是否合法
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 从表格读取规则（忽略选择器为空的行）
+ */
+function readRules() {
+  return Array.from(rulesBody.querySelectorAll('.rule'))
+    .map(row => ({
+      selector: row.querySelector('.rule-selector').value.trim(),
+      effect: row.querySelector('.rule-effect').value,
+      host: row.querySelector('.rule-host').value.trim().toLowerCase()
+    }))
+    .filter(rule => rule.selector);
+}
+
+/**
+ * 保存遮盖规则
+ */
+async function saveRules() {
+  const rules = readRules();
+  const invalid = rules.find(rule => !isValidSelector(rule.selector));
+
+  if (invalid) {
+    showMessage(`选择器无效: ${invalid.selector}`, 'error');
+    return;
+  }
+
+  await chrome.storage.sync.set({ maskRules: rules });
+  showMessage('已保存');
+}
+
+/**
+ * 刷新空状态提示
+ */
+function refreshEmptyState() {
+  rulesEmpty.classList.toggle('hidden', rulesBody.children.length > 0);
+}
+
+/**
+ * 添加一行规则
+ */
+function addRuleRow(rule = {}) {
+  const row = ruleTemplate.content.firstElementChild.cloneNode(true);
+
+  row.querySelector('.rule-selector').value = rule.selector || '';
+  row.querySelector('.rule-effect').value = rule.effect || 'blur';
+  row.querySelector('.rule-host').value = rule.host || '';
+
+  row.querySelectorAll('input, select').forEach(input => {
+    input.addEventListener('change', saveRules);
+  });
+
+  row.querySelector('.rule-remove').addEventListener('click', () => {
+    row.remove();
+    refreshEmptyState();
+    saveRules();
+  });
+
+  rulesBody.appendChild(row);
+  refreshEmptyState();
+
+  return row;
+}
+
+/**
+ * 用给定规则重建表格
+ */
+function renderRules(rules) {
+  rulesBody.replaceChildren();
+  rules.forEach(rule => addRuleRow(rule));
+  refreshEmptyState();
+}
+
+/**
+ * 加载已保存的规则
+ */
+async function loadRules() {
+  const { maskRules } = await chrome.storage.sync.get('maskRules');
+  renderRules(maskRules || []);
+}
+
+/**
+ * 导出截图参数和遮盖规则为 JSON 文件
+ */
+async function exportSettings() {
+  const profile = {
+    version: 1,
+    captureSettings: await loadCaptureSettings(),
+    maskRules: readRules()
+  };
+
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'element-screen-capture-settings.json';
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 从 JSON 文件导入截图参数和遮盖规则
+ * 文件中缺少的部分保持不变
+ */
+async function importSettings(file) {
+  let profile;
+  try {
+    profile = JSON.parse(await file.text());
+  } catch (e) {
+    showMessage('无法解析 JSON 文件', 'error');
+    return;
+  }
+
+  if (!profile || typeof profile !== 'object' ||
+      (!profile.captureSettings && !Array.isArray(profile.maskRules))) {
+    showMessage('文件中没有可导入的设置', 'error');
+    return;
+  }
+
+  let rules = null;
+  if (Array.isArray(profile.maskRules)) {
+    rules = profile.maskRules
+      .map(rule => ({
+        selector: String(rule?.selector || '').trim(),
+        effect: MASK_EFFECTS.includes(rule?.effect) ? rule.effect : 'blur',
+        host: String(rule?.host || '').trim().toLowerCase()
+      }))
+      .filter(rule => rule.selector);
+
+    const invalid = rules.find(rule => !isValidSelector(rule.selector));
+    if (invalid) {
+      showMessage(`选择器无效: ${invalid.selector}`, 'error');
+      return;
+    }
+  }
+
+  if (profile.captureSettings) {
+    const settings = normalizeCaptureSettings(profile.captureSettings);
+    await saveCaptureSettings(settings);
+    fillSettingsForm(settings);
+  }
+
+  if (rules) {
+    await chrome.storage.sync.set({ maskRules: rules });
+    renderRules(rules);
+  }
+
+  showMessage('已导入');
+}
+
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+  addRuleRow().querySelector('.rule-selector').focus();
+});
+
+Object.keys(DEFAULT_CAPTURE_SETTINGS).forEach(key => {
+  document.getElementById(key).addEventListener('change', handleSettingsChange);
+});
+
+document.getElementById('exportBtn').addEventListener('click', exportSettings);
+
+document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+  const [file] = importFile.files;
+  importFile.value = '';
+  if (file) {
+    await importSettings(file);
+  }
+});
+
+document.getElementById('resetBtn').addEventListener('click', async () => {
+  const settings = { ...DEFAULT_CAPTURE_SETTINGS };
+  fillSettingsForm(settings);
+  await saveCaptureSettings(settings);
+  showMessage('已恢复默认参数');
+});
+
+loadCaptureSettings().then(fillSettingsForm);
+loadRules();
@@ -5,11 +5,33 @@
 
 const startBtn = document.getElementById('startBtn');
 const cancelBtn = document.getElementById('cancelBtn');
+const pageBtn = document.getElementById('pageBtn');
+const destinationSelect = document.getElementById('destinationSelect');
+const formatSelect = document.getElementById('formatSelect');
+const qualityField = document.getElementById('qualityField');
+const qualityRange = document.getElementById('qualityRange');
+const qualityValue = document.getElementById('qualityValue');
+const pageSizeField = document.getElementById('pageSizeField');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
+const marginField = document.getElementById('marginField');
+const marginInput = document.getElementById('marginInput');
+const redactCheckbox = document.getElementById('redactCheckbox');
+const recentEl = document.getElementById('recent');
+const recentList = document.getElementById('recentList');
 const statusEl = document.getElementById('status');
 const statusText = statusEl.querySelector('.status-text');
 const progressBar = statusEl.querySelector('.progress-bar');
 const progressFill = statusEl.querySelector('.progress-fill');
 
+/**
+ * 各输出目标对应的完成提示
+ */
+const COMPLETE_MESSAGES = {
+  download: '截图完成！已保存到下载目录',
+  clipboard: '截图完成！已复制到剪贴板',
+  preview: '截图完成！已在新标签页中打开预览'
+};
+
 /**
  * 更新状态显示
  */
@@ -33,11 +55,93 @@ function updateStatus(text, type = 'normal', progress = null) {
  */
 function resetUI() {
   startBtn.disabled = false;
+  pageBtn.disabled = false;
   startBtn.classList.remove('hidden');
   cancelBtn.classList.add('hidden');
   statusEl.classList.add('hidden');
 }
 
+/**
+ * 根据格式刷新质量滑块和 PDF 选项（PNG 为无损格式，不需要质量）
+ */
+function refreshQualityField() {
+  const isPdf = formatSelect.value === 'pdf';
+  qualityField.classList.toggle('hidden', formatSelect.value === 'png');
+  qualityValue.textContent = `${qualityRange.value}%`;
+  pageSizeField.classList.toggle('hidden', !isPdf);
+  marginField.classList.toggle('hidden', !isPdf);
+}
+
+/**
+ * 加载已保存的导出设置
+ */
+async function loadOutputSettings() {
+  const { outputSettings } = await chrome.storage.local.get('outputSettings');
+  const captureSettings = await loadCaptureSettings();
+
+  // 未选择过时使用选项页中的默认值
+  destinationSelect.value = outputSettings?.destination || captureSettings.defaultDestination;
+  formatSelect.value = outputSettings?.format || captureSettings.defaultFormat;
+
+  if (outputSettings) {
+    qualityRange.value = Math.round((outputSettings.quality ?? 0.92) * 100);
+    pageSizeSelect.value = outputSettings.pdfPageSize || 'a4';
+    marginInput.value = outputSettings.pdfMargin ?? 10;
+    redactCheckbox.checked = Boolean(outputSettings.redactPII);
+  }
+  refreshQualityField();
+}
+
+/**
+ * 保存导出设置，content script 截图时读取
+ */
+async function saveOutputSettings() {
+  refreshQualityField();
+  await chrome.storage.local.set({
+    outputSettings: {
+      destination: destinationSelect.value,
+      format: formatSelect.value,
+      quality: Number(qualityRange.value) / 100,
+      pdfPageSize: pageSizeSelect.value,
+      pdfMargin: Number(marginInput.value) || 0,
+      redactPII: redactCheckbox.checked
+    }
+  });
+}
+
+/**
+ * 打开截图历史页面
+ */
+function openHistoryPage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+}
+
+/**
+ * 显示最近的几张截图
+ */
+async function loadRecentCaptures() {
+  const entries = await new HistoryStore().list({ limit: 3 });
+
+  recentList.replaceChildren(...entries.map(entry => {
+    const item = document.createElement('a');
+    item.className = 'recent-item';
+    item.title = `${entry.title}\n${new Date(entry.createdAt).toLocaleString()}`;
+    item.addEventListener('click', openHistoryPage);
+
+    const img = document.createElement('img');
+    img.src = URL.createObjectURL(entry.thumbnail);
+    img.alt = '';
+
+    const label = document.createElement('span');
+    label.textContent = entry.title || new URL(entry.url || 'about:blank').hostname;
+
+    item.append(img, label);
+    return item;
+  }));
+
+  recentEl.classList.toggle('hidden', entries.length === 0);
+}
+
 /**
  * 获取当前活动标签页
  */
@@ -49,36 +153,9 @@ async function getCurrentTab() {
 /**
  * 向 content script 发送消息
  */
-async function sendMessage(type, data = {}) {
-  const tab = await getCurrentTab();
-  return chrome.tabs.sendMessage(tab.id, { type, ...data });
-}
-
-/**
- * 注入 content script（如果尚未注入）
- */
-async function ensureContentScriptInjected() {
+async function sendMessage(type, data = {}, options = {}) {
   const tab = await getCurrentTab();
-
-  try {
-    // 尝试发送一个 ping 消息来检查 content script 是否已加载
-    await chrome.tabs.sendMessage(tab.id, { type: 'PING' });
-  } catch (e) {
-    // Content script 未加载，注入它
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['content/content.js']
-    });
-
-    // 注入样式
-    await chrome.scripting.insertCSS({
-      target: { tabId: tab.id },
-      files: ['styles/inspector.css']
-    });
-
-    // 等待 content script 初始化
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
+  return chrome.tabs.sendMessage(tab.id, { type, ...data }, options);
 }
 
 /**
@@ -86,7 +163,8 @@ async function ensureContentScriptInjected() {
  */
 async function startInspector() {
   try {
-    await ensureContentScriptInjected();
+    const tab = await getCurrentTab();
+    await ensureContentScriptInjected(tab.id);
     await sendMessage('START_INSPECTOR');
 
     updateStatus('正在选择元素...', 'normal');
@@ -100,6 +178,25 @@ async function startInspector() {
   }
 }
 
+/**
+ * 截取整个页面
+ */
+async function captureFullPage() {
+  try {
+    const tab = await getCurrentTab();
+    await ensureContentScriptInjected(tab.id);
+    // 整页截图只在顶层 frame 中执行
+    await sendMessage('CAPTURE_PAGE', {}, { frameId: 0 });
+
+    updateStatus('正在截取整个页面...', 'capturing');
+    startBtn.disabled = true;
+    pageBtn.disabled = true;
+  } catch (error) {
+    console.error('Failed to capture page:', error);
+    updateStatus('启动失败: ' + error.message, 'error');
+  }
+}
+
 /**
  * 取消选择
  */
@@ -115,6 +212,26 @@ async function cancelInspector() {
 // 事件监听
 startBtn.addEventListener('click', startInspector);
 cancelBtn.addEventListener('click', cancelInspector);
+pageBtn.addEventListener('click', captureFullPage);
+destinationSelect.addEventListener('change', saveOutputSettings);
+formatSelect.addEventListener('change', saveOutputSettings);
+qualityRange.addEventListener('input', saveOutputSettings);
+pageSizeSelect.addEventListener('change', saveOutputSettings);
+marginInput.addEventListener('change', saveOutputSettings);
+redactCheckbox.addEventListener('change', saveOutputSettings);
+document.getElementById('optionsLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+document.getElementById('historyLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  openHistoryPage();
+});
+
+loadOutputSettings();
+loadRecentCaptures().catch(error => {
+  console.error('Failed to load recent captures:', error);
+});
 
 // 监听来自 content script / background 的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -136,7 +253,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     case 'CAPTURE_COMPLETE':
-      updateStatus('截图完成！已保存到下载目录', 'success');
+      if (message.clipboardFallback) {
+        updateStatus('无法写入剪贴板，已保存到下载目录', 'success');
+      } else if (message.partCount > 1) {
+        // 超出浏览器画布尺寸限制，拆分为多张图片下载
+        updateStatus(`截图完成！图片过长，已分为 ${message.partCount} 张保存到下载目录`, 'success');
+      } else if (message.gaps > 0) {
+        // 页面实际滚动距离超过可见高度，部分内容没有被截取
+        updateStatus(`截图完成，但有 ${message.gaps} 处接缝缺少内容，可增大帧重叠比例后重试`, 'error');
+      } else {
+        updateStatus(COMPLETE_MESSAGES[message.destination] || COMPLETE_MESSAGES.download, 'success');
+      }
       setTimeout(resetUI, 2000);
       break;
 
@@ -148,6 +275,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'INSPECTOR_CANCELLED':
       resetUI();
       break;
+
+    default:
+      // 不响应其他消息
+      return false;
   }
 
   sendResponse({ received: true });